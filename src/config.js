@@ -1,26 +1,52 @@
+const os = require('os');
+const path = require('path');
 const dotenv = require('dotenv');
 dotenv.config();
 
 // 验证必需的配置项
 function validateConfig() {
-  const required = [
-    'DB_HOST',
-    'DB_NAME',
-    'DB_USER',
-    'DB_PASS',
-    'REDIS_HOST',
-    'SMTP_HOST',
-    'SMTP_USER',
-    'SMTP_PASS'
-  ];
+  const dialect = process.env.DB_DIALECT || 'mysql';
+  if (!['mysql', 'sqlite'].includes(dialect)) {
+    throw new Error('DB_DIALECT must be mysql or sqlite');
+  }
+  const storageDriver = process.env.STORAGE_DRIVER || 'redis';
+  if (!['redis', 'memory'].includes(storageDriver)) {
+    throw new Error('STORAGE_DRIVER must be redis or memory');
+  }
+
+  // 只检查实际使用的外部服务：SQLite 不需要数据库账号，内存存储不需要 Redis
+  const required = [];
+  if (dialect === 'mysql') {
+    required.push('DB_HOST', 'DB_NAME', 'DB_USER', 'DB_PASS');
+  }
+  if (storageDriver === 'redis') {
+    required.push('REDIS_HOST');
+  }
+  // 只有使用 SMTP 发送邮件时才需要 SMTP 配置（本地开发可使用 file / console）
+  if ((process.env.MAIL_TRANSPORT || 'smtp') === 'smtp') {
+    required.push('SMTP_HOST', 'SMTP_USER', 'SMTP_PASS');
+  }
   
   const missing = required.filter(key => !process.env[key]);
   if (missing.length > 0) {
     throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
   }
   
-  // 验证JWT_SECRET在生产环境
-  if (process.env.NODE_ENV === 'production' && (!process.env.JWT_SECRET || process.env.JWT_SECRET === 'change_this_secret')) {
+  if (process.env.MAIL_TRANSPORT && !['smtp', 'file', 'console', 'memory'].includes(process.env.MAIL_TRANSPORT)) {
+    throw new Error('MAIL_TRANSPORT must be smtp, file, console or memory');
+  }
+
+  if (process.env.PASSWORD_HASH_ALGORITHM && !['argon2id', 'bcrypt'].includes(process.env.PASSWORD_HASH_ALGORITHM)) {
+    throw new Error('PASSWORD_HASH_ALGORITHM must be argon2id or bcrypt');
+  }
+
+  if (process.env.JWT_ALGORITHM && !['RS256', 'ES256'].includes(process.env.JWT_ALGORITHM)) {
+    throw new Error('JWT_ALGORITHM must be RS256 or ES256');
+  }
+
+  // 验证JWT_SECRET在生产环境（仅在仍接受旧 HS256 令牌时需要）
+  if (process.env.NODE_ENV === 'production' && process.env.JWT_ACCEPT_LEGACY_HS256 === 'true' &&
+      (!process.env.JWT_SECRET || process.env.JWT_SECRET === 'change_this_secret')) {
     throw new Error('JWT_SECRET must be set in production environment');
   }
 }
@@ -30,16 +56,78 @@ if (process.env.NODE_ENV !== 'test') {
   validateConfig();
 }
 
+// 解析 TRUST_PROXY：数字表示代理跳数，true/false 为布尔值，其余原样传给 express（如 'loopback'）
+function parseTrustProxy(value) {
+  if (!value) return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+// 解析 OAUTH_PROVIDERS：第三方登录提供方的 JSON 数组
+function parseOAuthProviders(value) {
+  if (!value) return [];
+  let providers;
+  try {
+    providers = JSON.parse(value);
+  } catch (err) {
+    throw new Error('OAUTH_PROVIDERS must be valid JSON');
+  }
+  if (!Array.isArray(providers) || providers.some(p => !p || !p.name || !p.clientId)) {
+    throw new Error('OAUTH_PROVIDERS must be an array of objects with name and clientId');
+  }
+  return providers;
+}
+
+// 解析限流规则，格式为 "次数/窗口秒数"，例如 "20/900"
+function parseLimit(value, fallback) {
+  const [limit, windowSeconds] = (value || fallback).split('/').map(n => parseInt(n, 10));
+  if (!limit || !windowSeconds) {
+    throw new Error(`Invalid rate limit "${value}", expected "<limit>/<windowSeconds>"`);
+  }
+  return { limit, windowSeconds };
+}
+
+const port = parseInt(process.env.PORT || '3000', 10);
+
 module.exports = {
-  port: parseInt(process.env.PORT || '3000', 10),
+  port,
+  // 服务对外访问地址，用于拼接回调地址等
+  publicUrl: (process.env.PUBLIC_URL || `http://localhost:${port}`).replace(/\/+$/, ''),
+  // 前端地址，用于拼接邮件中的链接
+  appUrl: (process.env.APP_URL || 'http://localhost:8080').replace(/\/+$/, ''),
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   jwtSecret: process.env.JWT_SECRET || 'change_this_secret',
-  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenTtl: parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || '2592000', 10),
+  jwt: {
+    // 非对称签名算法：RS256 或 ES256
+    algorithm: process.env.JWT_ALGORITHM || 'RS256',
+    // 签名密钥轮换周期（默认 30 天）
+    keyRotationSeconds: parseInt(process.env.JWT_KEY_ROTATION_SECONDS || '2592000', 10),
+    // 仅在升级过渡期内显式开启：继续接受升级前用 JWT_SECRET (HS256) 签发、不带 kid 的令牌
+    acceptLegacyHs256: process.env.JWT_ACCEPT_LEGACY_HS256 === 'true'
+  },
   db: {
+    // mysql（阿里云 RDS）或 sqlite（本地开发和测试，无需数据库服务）
+    dialect: process.env.DB_DIALECT || 'mysql',
+    // SQLite 数据库文件，:memory: 表示只保存在内存中
+    storage: process.env.DB_STORAGE || ':memory:',
     host: process.env.DB_HOST,
     port: parseInt(process.env.DB_PORT || '3306', 10),
     name: process.env.DB_NAME,
     user: process.env.DB_USER,
     pass: process.env.DB_PASS,
+    // 启动时自动执行未执行的迁移；多实例部署时建议关闭，在发布流程中执行 npm run migrate -- up
+    // 未设置时 SQLite 默认开启（内存数据库每次启动都是空的）
+    migrateOnStart: process.env.DB_MIGRATE_ON_START
+      ? process.env.DB_MIGRATE_ON_START === 'true'
+      : process.env.DB_DIALECT === 'sqlite',
+  },
+  // 键值存储驱动：redis 或 memory（进程内存，仅适用于单实例、本地开发和测试）
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'redis'
   },
   redis: {
     host: process.env.REDIS_HOST,
@@ -55,5 +143,191 @@ module.exports = {
   },
   verifTtl: parseInt(process.env.VERIFICATION_CODE_TTL_SECONDS || '600', 10),
   resetTtl: parseInt(process.env.RESET_CODE_TTL_SECONDS || '900', 10),
-  tokenTtlSeconds: parseInt(process.env.TOKEN_TTL_SECONDS || '86400', 10)
+  tokenTtlSeconds: parseInt(process.env.TOKEN_TTL_SECONDS || '86400', 10),
+  // 按 IP / 邮箱的滑动窗口限流
+  rateLimit: {
+    login: {
+      ip: parseLimit(process.env.RATE_LIMIT_LOGIN_IP, '20/900'),
+      email: parseLimit(process.env.RATE_LIMIT_LOGIN_EMAIL, '10/900')
+    },
+    register: {
+      ip: parseLimit(process.env.RATE_LIMIT_REGISTER_IP, '10/3600'),
+      email: parseLimit(process.env.RATE_LIMIT_REGISTER_EMAIL, '5/3600')
+    },
+    forgot: {
+      ip: parseLimit(process.env.RATE_LIMIT_FORGOT_IP, '10/3600'),
+      email: parseLimit(process.env.RATE_LIMIT_FORGOT_EMAIL, '5/3600')
+    },
+    // 注册验证码和重置验证码的校验（防止跨邮箱枚举）
+    verifyCode: {
+      ip: parseLimit(process.env.RATE_LIMIT_VERIFY_CODE_IP, '30/900')
+    },
+    mfa: {
+      ip: parseLimit(process.env.RATE_LIMIT_MFA_IP, '20/900')
+    },
+    // 已登录时再次确认密码（关闭两步验证、重新生成恢复码、注销账户），按用户计数，防止被盗用的会话暴力破解密码
+    passwordConfirm: {
+      ip: parseLimit(process.env.RATE_LIMIT_PASSWORD_CONFIRM_IP, '10/900'),
+      user: parseLimit(process.env.RATE_LIMIT_PASSWORD_CONFIRM_USER, '5/900')
+    },
+    // 通行密钥登录的两步分别计数，未单独配置时与 /login 的按 IP 规则相同
+    passkeyOptions: {
+      ip: parseLimit(process.env.RATE_LIMIT_PASSKEY_OPTIONS_IP || process.env.RATE_LIMIT_LOGIN_IP, '20/900')
+    },
+    passkeyLogin: {
+      ip: parseLimit(process.env.RATE_LIMIT_PASSKEY_LOGIN_IP || process.env.RATE_LIMIT_LOGIN_IP, '20/900')
+    },
+    unlock: {
+      ip: parseLimit(process.env.RATE_LIMIT_UNLOCK_IP, '10/900')
+    },
+    magicLink: {
+      ip: parseLimit(process.env.RATE_LIMIT_MAGIC_LINK_IP, '10/3600'),
+      email: parseLimit(process.env.RATE_LIMIT_MAGIC_LINK_EMAIL, '5/3600')
+    },
+    emailChange: {
+      ip: parseLimit(process.env.RATE_LIMIT_EMAIL_CHANGE_IP, '10/3600')
+    },
+    dataExport: {
+      ip: parseLimit(process.env.RATE_LIMIT_DATA_EXPORT_IP, '5/3600')
+    },
+    magicLinkConsume: {
+      ip: parseLimit(process.env.RATE_LIMIT_MAGIC_LINK_CONSUME_IP, '30/900')
+    },
+    // 查看和接受邀请（防止枚举邀请链接）
+    invitationAccept: {
+      ip: parseLimit(process.env.RATE_LIMIT_INVITATION_ACCEPT_IP, '30/900')
+    }
+  },
+  lockout: {
+    // 同一验证码允许的错误次数，超过后验证码作废并锁定
+    codeMaxAttempts: parseInt(process.env.CODE_MAX_ATTEMPTS || '5', 10),
+    // 窗口内连续登录失败次数达到上限后锁定账户
+    maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10),
+    failureWindowSeconds: parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS || '900', 10),
+    // 首次锁定时长，之后每次翻倍，不超过最大值
+    baseLockSeconds: parseInt(process.env.LOGIN_LOCK_SECONDS || '300', 10),
+    maxLockSeconds: parseInt(process.env.LOGIN_MAX_LOCK_SECONDS || '86400', 10),
+    // 锁定级别在该时间内没有新的锁定则重置
+    levelResetSeconds: parseInt(process.env.LOGIN_LOCK_LEVEL_RESET_SECONDS || '86400', 10)
+  },
+  // 注册验证码重发：冷却时间和每个邮箱每天的发送上限
+  codeSend: {
+    cooldownSeconds: parseInt(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS || '60', 10),
+    dailyLimit: parseInt(process.env.VERIFICATION_RESEND_DAILY_LIMIT || '10', 10)
+  },
+  // 免密登录链接
+  magicLink: {
+    ttl: parseInt(process.env.MAGIC_LINK_TTL_SECONDS || '900', 10)
+  },
+  // 修改邮箱：新邮箱验证码有效期，以及旧邮箱收到的撤销链接有效期（默认 7 天）
+  emailChange: {
+    codeTtl: parseInt(process.env.EMAIL_CHANGE_CODE_TTL_SECONDS || '600', 10),
+    revertTtl: parseInt(process.env.EMAIL_CHANGE_REVERT_TTL_SECONDS || '604800', 10)
+  },
+  // 个人资料 metadata 的限制
+  profile: {
+    metadataMaxKeys: parseInt(process.env.PROFILE_METADATA_MAX_KEYS || '50', 10),
+    metadataMaxBytes: parseInt(process.env.PROFILE_METADATA_MAX_BYTES || '4096', 10)
+  },
+  // 注销账户的宽限期（默认 30 天），期间可以撤销注销
+  accountDeletion: {
+    graceSeconds: parseInt(process.env.ACCOUNT_DELETION_GRACE_SECONDS || '2592000', 10),
+    // 不输入密码时，要求当前会话在这段时间内通过免密方式（通行密钥、第三方、magic link）登录
+    reauthSeconds: parseInt(process.env.ACCOUNT_DELETION_REAUTH_SECONDS || '600', 10)
+  },
+  // 密码哈希：新密码使用这里的算法和参数；旧哈希在登录成功后自动按当前配置重新哈希
+  passwordHash: {
+    algorithm: process.env.PASSWORD_HASH_ALGORITHM || 'argon2id',
+    bcryptCost: parseInt(process.env.BCRYPT_COST || '12', 10),
+    // 默认值参考 OWASP 建议：19 MiB 内存、2 次迭代、1 个线程
+    argon2: {
+      memoryCost: parseInt(process.env.ARGON2_MEMORY_COST || '19456', 10),
+      timeCost: parseInt(process.env.ARGON2_TIME_COST || '2', 10),
+      parallelism: parseInt(process.env.ARGON2_PARALLELISM || '1', 10)
+    }
+  },
+  // 密码策略：注册、重置密码和修改密码共用
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+    maxLength: parseInt(process.env.PASSWORD_MAX_LENGTH || '128', 10),
+    // 至少包含几类字符（小写字母、大写字母、数字、符号）
+    minCharClasses: parseInt(process.env.PASSWORD_MIN_CHAR_CLASSES || '2', 10),
+    // 密码中不能包含邮箱或邮箱 @ 之前的部分
+    rejectEmail: process.env.PASSWORD_REJECT_EMAIL !== 'false',
+    // 离线的常见 / 已泄露密码列表，每行一个明文密码或 SHA-1 哈希（兼容 HIBP 的 HASH:次数 格式）；设为空字符串关闭检查
+    breachedListFile: process.env.PASSWORD_BREACHED_LIST_FILE !== undefined
+      ? process.env.PASSWORD_BREACHED_LIST_FILE
+      : path.join(__dirname, 'data', 'common-passwords.txt'),
+    // 不能重复使用最近 N 个密码（包括当前密码），0 表示不检查
+    historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10)
+  },
+  // 个人访问令牌：每个用户的数量上限，以及有效期上限（天，0 表示允许永不过期）
+  personalAccessTokens: {
+    maxPerUser: parseInt(process.env.PAT_MAX_PER_USER || '50', 10),
+    maxTtlDays: parseInt(process.env.PAT_MAX_TTL_DAYS || '0', 10)
+  },
+  // 邀请：默认有效期和有效期上限（天）
+  invitations: {
+    ttlDays: parseInt(process.env.INVITATION_TTL_DAYS || '7', 10),
+    maxTtlDays: parseInt(process.env.INVITATION_MAX_TTL_DAYS || '30', 10)
+  },
+  // 审计日志保留天数，过期记录每天清理一次
+  audit: {
+    retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS || '180', 10)
+  },
+  // 邮件模板：品牌名称显示在共享布局中；用户未设置语言且 Accept-Language 不匹配时使用默认语言
+  mail: {
+    // 发送方式：smtp（DirectMail）、file（写入 .eml 文件）、console（打印到控制台）、memory（测试用）
+    transport: process.env.MAIL_TRANSPORT || 'smtp',
+    from: process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@localhost',
+    // 组织可使用的发件域名（已在邮件服务商处验证），多个用逗号分隔；为空时组织不能自定义发件地址
+    orgSenderDomains: (process.env.MAIL_ORG_SENDER_DOMAINS || '')
+      .split(',')
+      .map(d => d.trim().toLowerCase())
+      .filter(Boolean),
+    fileDir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'auth-mail'),
+    // 发件队列：失败后按 retryBaseSeconds * 2^(n-1) 重试，超过 maxAttempts 次进入死信列表
+    outbox: {
+      maxAttempts: parseInt(process.env.MAIL_MAX_ATTEMPTS || '8', 10),
+      retryBaseSeconds: parseInt(process.env.MAIL_RETRY_BASE_SECONDS || '30', 10),
+      retryMaxSeconds: parseInt(process.env.MAIL_RETRY_MAX_SECONDS || '3600', 10),
+      pollIntervalMs: parseInt(process.env.MAIL_POLL_INTERVAL_MS || '1000', 10),
+      // 已发送 / 死信邮件的投递状态保留时间（默认 7 天）
+      statusTtl: parseInt(process.env.MAIL_STATUS_TTL_SECONDS || '604800', 10),
+      deadLetterMax: parseInt(process.env.MAIL_DEAD_LETTER_MAX || '1000', 10)
+    },
+    brandName: process.env.MAIL_BRAND_NAME || 'Alibaba Auth',
+    defaultLocale: process.env.MAIL_DEFAULT_LOCALE || 'zh-CN',
+    templatesDir: process.env.MAIL_TEMPLATES_DIR || path.join(__dirname, 'mail', 'templates')
+  },
+  totp: {
+    issuer: process.env.TOTP_ISSUER || 'Alibaba Auth',
+    setupTtl: parseInt(process.env.TOTP_SETUP_TTL_SECONDS || '600', 10),
+    challengeTtl: parseInt(process.env.MFA_CHALLENGE_TTL_SECONDS || '300', 10)
+  },
+  webauthn: {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Alibaba Auth',
+    rpID: process.env.WEBAUTHN_RP_ID || 'localhost',
+    // 允许的前端来源，多个用逗号分隔
+    origins: (process.env.WEBAUTHN_ORIGINS || 'http://localhost:8080')
+      .split(',')
+      .map(o => o.trim())
+      .filter(Boolean),
+    challengeTtl: parseInt(process.env.WEBAUTHN_CHALLENGE_TTL_SECONDS || '300', 10)
+  },
+  oauth: {
+    providers: parseOAuthProviders(process.env.OAUTH_PROVIDERS),
+    // 登录完成后跳转的前端地址，令牌放在 URL fragment 中；未配置时回调直接返回 JSON
+    frontendRedirect: process.env.OAUTH_FRONTEND_REDIRECT,
+    stateTtl: parseInt(process.env.OAUTH_STATE_TTL_SECONDS || '600', 10)
+  },
+  // 作为 OpenID Connect 提供方
+  oidc: {
+    // 前端登录 + 授权确认页，/authorize 会带上 request_id 跳转到这里
+    loginUrl: process.env.OIDC_LOGIN_URL || 'http://localhost:8080/oidc/login',
+    requestTtl: parseInt(process.env.OIDC_REQUEST_TTL_SECONDS || '600', 10),
+    codeTtl: parseInt(process.env.OIDC_CODE_TTL_SECONDS || '60', 10),
+    accessTokenTtl: parseInt(process.env.OIDC_ACCESS_TOKEN_TTL_SECONDS || '3600', 10),
+    idTokenTtl: parseInt(process.env.OIDC_ID_TOKEN_TTL_SECONDS || '3600', 10)
+  }
 };
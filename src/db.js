@@ -0,0 +1,105 @@
+const { Sequelize } = require('sequelize');
+const config = require('./config');
+const createUserModel = require('./models/user');
+const createWebauthnCredentialModel = require('./models/webauthnCredential');
+const createUserIdentityModel = require('./models/userIdentity');
+const createOAuthClientModel = require('./models/oauthClient');
+const createOAuthConsentModel = require('./models/oauthConsent');
+const createSigningKeyModel = require('./models/signingKey');
+const createRoleModel = require('./models/role');
+const createPermissionModel = require('./models/permission');
+const createUserRoleModel = require('./models/userRole');
+const createRolePermissionModel = require('./models/rolePermission');
+const createAuditEventModel = require('./models/auditEvent');
+const createPasswordHistoryModel = require('./models/passwordHistory');
+const createPersonalAccessTokenModel = require('./models/personalAccessToken');
+const createOrganizationModel = require('./models/organization');
+const createOrganizationMemberModel = require('./models/organizationMember');
+const createInvitationModel = require('./models/invitation');
+
+const logging = process.env.NODE_ENV === 'development' ? console.log : false;
+
+// MySQL 用于生产环境；SQLite 用于本地开发和测试，无需数据库服务
+const sequelize = config.db.dialect === 'sqlite'
+  ? new Sequelize({
+    dialect: 'sqlite',
+    storage: config.db.storage,
+    logging
+  })
+  : new Sequelize(config.db.name, config.db.user, config.db.pass, {
+    host: config.db.host,
+    port: config.db.port,
+    dialect: 'mysql',
+    logging,
+    dialectOptions: {
+      // if using SSL, provide certs here
+    },
+    pool: {
+      max: 5,
+      min: 0,
+      acquire: 30000,
+      idle: 10000
+    }
+  });
+
+const User = createUserModel(sequelize);
+const WebauthnCredential = createWebauthnCredentialModel(sequelize);
+const UserIdentity = createUserIdentityModel(sequelize);
+const OAuthClient = createOAuthClientModel(sequelize);
+const OAuthConsent = createOAuthConsentModel(sequelize);
+const SigningKey = createSigningKeyModel(sequelize);
+const Role = createRoleModel(sequelize);
+const Permission = createPermissionModel(sequelize);
+const UserRole = createUserRoleModel(sequelize);
+const RolePermission = createRolePermissionModel(sequelize);
+const AuditEvent = createAuditEventModel(sequelize);
+const PasswordHistory = createPasswordHistoryModel(sequelize);
+const PersonalAccessToken = createPersonalAccessTokenModel(sequelize);
+const Organization = createOrganizationModel(sequelize);
+const OrganizationMember = createOrganizationMemberModel(sequelize);
+const Invitation = createInvitationModel(sequelize);
+
+User.hasMany(WebauthnCredential, { foreignKey: 'user_id', onDelete: 'CASCADE' });
+WebauthnCredential.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(UserIdentity, { foreignKey: 'user_id', onDelete: 'CASCADE' });
+UserIdentity.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(OAuthConsent, { foreignKey: 'user_id', onDelete: 'CASCADE' });
+OAuthConsent.belongsTo(User, { foreignKey: 'user_id' });
+User.belongsToMany(Role, { through: UserRole, foreignKey: 'user_id', otherKey: 'role_id' });
+Role.belongsToMany(User, { through: UserRole, foreignKey: 'role_id', otherKey: 'user_id' });
+Role.belongsToMany(Permission, { through: RolePermission, foreignKey: 'role_id', otherKey: 'permission_id' });
+Permission.belongsToMany(Role, { through: RolePermission, foreignKey: 'permission_id', otherKey: 'role_id' });
+User.hasMany(AuditEvent, { foreignKey: 'user_id', onDelete: 'SET NULL' });
+AuditEvent.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(PasswordHistory, { foreignKey: 'user_id', onDelete: 'CASCADE' });
+PasswordHistory.belongsTo(User, { foreignKey: 'user_id' });
+User.hasMany(PersonalAccessToken, { foreignKey: 'user_id', onDelete: 'CASCADE' });
+PersonalAccessToken.belongsTo(User, { foreignKey: 'user_id' });
+Organization.hasMany(OrganizationMember, { foreignKey: 'organization_id', onDelete: 'CASCADE' });
+OrganizationMember.belongsTo(Organization, { foreignKey: 'organization_id' });
+User.hasMany(OrganizationMember, { foreignKey: 'user_id', onDelete: 'CASCADE' });
+OrganizationMember.belongsTo(User, { foreignKey: 'user_id' });
+Organization.hasMany(Invitation, { foreignKey: 'organization_id', onDelete: 'CASCADE' });
+Invitation.belongsTo(Organization, { foreignKey: 'organization_id' });
+Invitation.belongsTo(User, { as: 'Inviter', foreignKey: 'invited_by' });
+
+const models = {
+  User,
+  WebauthnCredential,
+  UserIdentity,
+  OAuthClient,
+  OAuthConsent,
+  SigningKey,
+  Role,
+  Permission,
+  UserRole,
+  RolePermission,
+  AuditEvent,
+  PasswordHistory,
+  PersonalAccessToken,
+  Organization,
+  OrganizationMember,
+  Invitation
+};
+
+module.exports = { sequelize, models };
@@ -1,11 +1,18 @@
 const express = require('express');
 const bodyParser = require('body-parser');
-const { Sequelize } = require('sequelize');
 const config = require('./config');
-const createUserModel = require('./models/user');
+const { sequelize, models } = require('./db');
+const migrator = require('./migrator');
+const { ensureActiveKey, startKeyRotation } = require('./services/keys');
+const { startAccountPurge } = require('./services/account');
+const { startAuditRetention } = require('./services/audit');
+const { startMailWorker } = require('./mail/outbox');
 
 const app = express();
 
+// 部署在 SLB / 反向代理之后时，从 X-Forwarded-For 获取客户端 IP
+app.set('trust proxy', config.trustProxy);
+
 // CORS支持
 app.use((req, res, next) => {
   const origin = req.headers.origin;
@@ -18,14 +25,14 @@ app.use((req, res, next) => {
   if (origin && allowedOrigins.includes(origin)) {
     // 源在允许列表中，设置 CORS headers
     res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Organization');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
   } else if (!origin) {
     // 没有 origin（如 Postman、curl 等），允许访问
     res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Organization');
   }
   // 如果 origin 存在但不在允许列表中，不设置 CORS headers，浏览器会拒绝请求
   
@@ -45,42 +52,64 @@ app.use((req, res, next) => {
   next();
 });
 
-const sequelize = new Sequelize(config.db.name, config.db.user, config.db.pass, {
-  host: config.db.host,
-  port: config.db.port,
-  dialect: 'mysql',
-  logging: process.env.NODE_ENV === 'development' ? console.log : false,
-  dialectOptions: {
-    // if using SSL, provide certs here
-  },
-  pool: {
-    max: 5,
-    min: 0,
-    acquire: 30000,
-    idle: 10000
-  }
-});
-
-const User = createUserModel(sequelize);
-const models = { User };
-
-// 数据库连接和初始化
+// 数据库连接和初始化；ready 在初始化完成（或失败）后 resolve，供测试等待
 let dbReady = false;
-(async () => {
+const ready = (async () => {
   try {
     await sequelize.authenticate();
-    console.log('MySQL: Connected successfully');
-    await sequelize.sync({ alter: false }); // 不自动修改表结构
-    console.log('MySQL: Tables synced');
+    console.log(`Database: Connected successfully (${config.db.dialect})`);
+
+    // 表结构由迁移管理（src/migrations），不再使用 sequelize.sync()
+    if (config.db.migrateOnStart) {
+      const applied = await migrator.up(sequelize);
+      console.log(`Database: Applied ${applied.length} migration(s)`);
+    } else {
+      const pending = await migrator.pendingMigrations(sequelize);
+      if (pending.length > 0) {
+        console.warn(`Database: ${pending.length} pending migration(s), run "npm run migrate -- up": ${pending.join(', ')}`);
+      }
+    }
     dbReady = true;
+
+    // 确保存在有效的 JWT 签名密钥，并定期轮换
+    await ensureActiveKey();
+    startKeyRotation();
+
+    // 启动时及之后定期永久删除宽限期已过的注销账户
+    startAccountPurge();
+
+    // 启动时及之后定期清理超过保留期的审计日志
+    startAuditRetention();
   } catch (err) {
-    console.error('MySQL: Connection failed', err.message);
+    console.error('Database: Connection failed', err.message);
     // 不阻止应用启动，但会在使用时失败
   }
 })();
 
 const authRouter = require('./routes/auth')(models);
+const twoFactorRouter = require('./routes/twoFactor')(models);
+const webauthnRouter = require('./routes/webauthn')(models);
+const oauthRouter = require('./routes/oauth')(models);
+const magicLinkRouter = require('./routes/magicLink')(models);
+const emailChangeRouter = require('./routes/emailChange')(models);
+const profileRouter = require('./routes/profile')(models);
+const tokensRouter = require('./routes/tokens')(models);
+const invitationsRouter = require('./routes/invitations')(models);
+const organizationsRouter = require('./routes/organizations')(models);
+const adminRouter = require('./routes/admin')(models);
+const oidcRouter = require('./routes/oidc')(models);
 app.use('/api/auth', authRouter);
+app.use('/api/auth', twoFactorRouter);
+app.use('/api/auth', webauthnRouter);
+app.use('/api/auth', oauthRouter);
+app.use('/api/auth', magicLinkRouter);
+app.use('/api/auth', emailChangeRouter);
+app.use('/api/auth', profileRouter);
+app.use('/api/auth', tokensRouter);
+app.use('/api/auth', invitationsRouter);
+app.use('/api/organizations', organizationsRouter);
+app.use('/api/admin', adminRouter);
+app.use(oidcRouter);
 
 app.get('/', (req, res) => {
   res.json({ 
@@ -118,6 +147,9 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
 });
 
+// 发件队列 worker：后台发送邮件，失败按指数退避重试
+startMailWorker();
+
 const server = app.listen(config.port, () => {
   console.log(`Server: Listening on port ${config.port}`);
 });
@@ -131,9 +163,9 @@ const gracefulShutdown = async (signal) => {
     
     try {
       await sequelize.close();
-      console.log('MySQL connection closed');
+      console.log('Database connection closed');
     } catch (err) {
-      console.error('Error closing MySQL:', err.message);
+      console.error('Error closing database:', err.message);
     }
     
     process.exit(0);
@@ -148,3 +180,5 @@ const gracefulShutdown = async (signal) => {
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+module.exports = { app, server, ready };
@@ -1,5 +1,6 @@
-const nodemailer = require('nodemailer');
 const config = require('../config');
+const { renderTemplate } = require('./templates');
+const { enqueueMail } = require('./outbox');
 
 // 验证邮箱格式
 function isValidEmail(email) {
@@ -7,97 +8,90 @@ function isValidEmail(email) {
   return emailRegex.test(email);
 }
 
-const transporter = nodemailer.createTransport({
-  host: config.smtp.host,
-  port: config.smtp.port,
-  secure: config.smtp.secure,
-  auth: {
-    user: config.smtp.user,
-    pass: config.smtp.pass
-  }
-});
-
-// 验证transporter配置
-let transporterVerified = false;
-(async () => {
-  try {
-    await transporter.verify();
-    transporterVerified = true;
-    console.log('SMTP: Transporter verified');
-  } catch (err) {
-    console.error('SMTP: Transporter verification failed:', err.message);
-  }
-})();
-
-async function sendVerificationCode(toEmail, code) {
+// 渲染模板并加入发件队列，返回邮件 ID；发送失败由队列按指数退避重试
+// locale 由调用方根据用户偏好或 Accept-Language 选择（见 resolveLocale）
+// sender 可选：{ from, replyTo, brandName }，用于组织自己的发件人设置（见 organizationSender）
+async function sendTemplatedMail(toEmail, template, locale, vars, sender = {}) {
   if (!isValidEmail(toEmail)) {
     throw new Error('Invalid email format');
   }
   
-  if (!transporterVerified) {
-    throw new Error('SMTP transporter not verified');
-  }
-  
   try {
-    const info = await transporter.sendMail({
-      from: config.smtp.user,
+    const { subject, html, text } = renderTemplate(template, locale, { ...vars, brandName: sender.brandName });
+    return await enqueueMail({
       to: toEmail,
-      subject: 'Your verification code',
-      text: `Your verification code is: ${code}. It expires in ${Math.floor(config.verifTtl / 60)} minutes.`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Verification Code</h2>
-          <p>Your verification code is:</p>
-          <div style="background: #f4f4f4; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
-            ${code}
-          </div>
-          <p>This code expires in ${Math.floor(config.verifTtl / 60)} minutes.</p>
-          <p style="color: #666; font-size: 12px;">If you didn't request this code, please ignore this email.</p>
-        </div>
-      `
+      subject,
+      html,
+      text,
+      template,
+      from: sender.from,
+      replyTo: sender.replyTo
     });
-    return info;
   } catch (err) {
-    console.error('SMTP: Failed to send verification code:', err.message);
+    console.error(`Mail: Failed to queue ${template} email:`, err.message);
     throw err;
   }
 }
 
-async function sendResetCode(toEmail, code) {
-  if (!isValidEmail(toEmail)) {
-    throw new Error('Invalid email format');
-  }
-  
-  if (!transporterVerified) {
-    throw new Error('SMTP transporter not verified');
-  }
-  
-  try {
-    const info = await transporter.sendMail({
-      from: config.smtp.user,
-      to: toEmail,
-      subject: 'Your password reset code',
-      text: `Your password reset code is: ${code}. It expires in ${Math.floor(config.resetTtl / 60)} minutes.`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-          <h2 style="color: #333;">Password Reset Code</h2>
-          <p>Your password reset code is:</p>
-          <div style="background: #f4f4f4; padding: 20px; text-align: center; font-size: 24px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
-            ${code}
-          </div>
-          <p>This code expires in ${Math.floor(config.resetTtl / 60)} minutes.</p>
-          <p style="color: #666; font-size: 12px;">If you didn't request this code, please ignore this email.</p>
-        </div>
-      `
-    });
-    return info;
-  } catch (err) {
-    console.error('SMTP: Failed to send reset code:', err.message);
-    throw err;
-  }
+async function sendVerificationCode(toEmail, code, locale, sender) {
+  return sendTemplatedMail(toEmail, 'verification-code', locale, {
+    code,
+    ttlMinutes: Math.floor(config.verifTtl / 60)
+  }, sender);
+}
+
+async function sendResetCode(toEmail, code, locale, sender) {
+  return sendTemplatedMail(toEmail, 'reset-code', locale, {
+    code,
+    ttlMinutes: Math.floor(config.resetTtl / 60)
+  }, sender);
+}
+
+async function sendUnlockEmail(toEmail, unlockUrl, lockSeconds, locale, sender) {
+  return sendTemplatedMail(toEmail, 'account-unlock', locale, {
+    unlockUrl,
+    lockMinutes: Math.ceil(lockSeconds / 60)
+  }, sender);
+}
+
+async function sendMagicLink(toEmail, loginUrl, locale, sender) {
+  return sendTemplatedMail(toEmail, 'magic-link', locale, {
+    loginUrl,
+    ttlMinutes: Math.floor(config.magicLink.ttl / 60)
+  }, sender);
+}
+
+async function sendEmailChangeCode(toEmail, code, locale, sender) {
+  return sendTemplatedMail(toEmail, 'email-change-code', locale, {
+    code,
+    ttlMinutes: Math.floor(config.emailChange.codeTtl / 60)
+  }, sender);
+}
+
+async function sendEmailChangeNotice(toEmail, newEmail, revertUrl, locale, sender) {
+  return sendTemplatedMail(toEmail, 'email-change-notice', locale, {
+    newEmail,
+    revertUrl,
+    revertDays: Math.floor(config.emailChange.revertTtl / 86400)
+  }, sender);
+}
+
+// teamName 为邀请加入的组织名称，管理员邀请时为品牌名称
+async function sendInvitation(toEmail, acceptUrl, { inviter, teamName, expiresAt }, locale, sender) {
+  return sendTemplatedMail(toEmail, 'invitation', locale, {
+    acceptUrl,
+    inviter,
+    teamName: teamName || config.mail.brandName,
+    expiresDays: Math.max(1, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / 86400000))
+  }, sender);
 }
 
 module.exports = {
   sendVerificationCode,
-  sendResetCode
+  sendResetCode,
+  sendUnlockEmail,
+  sendMagicLink,
+  sendEmailChangeCode,
+  sendEmailChangeNotice,
+  sendInvitation
 };
@@ -0,0 +1,234 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const store = require('../storage');
+const { getTransport } = require('./transports');
+
+// 发件队列（Redis）：
+//   mail_${id}        邮件内容和投递状态（JSON）
+//   mail_queue        待发送邮件的有序集合，score 为下次尝试时间（毫秒）
+//   mail_processing   正在发送的邮件，score 为租约到期时间；进程崩溃后到期的邮件重新入队
+//   mail_dead         多次重试仍失败的邮件 ID（死信列表）
+const QUEUE_KEY = 'mail_queue';
+const PROCESSING_KEY = 'mail_processing';
+const DEAD_LETTER_KEY = 'mail_dead';
+const BATCH_SIZE = 20;
+const LEASE_MS = 5 * 60 * 1000;
+
+let workerTimer = null;
+// 正在进行的一轮处理（Promise），避免同一进程内并发处理
+let processing = null;
+
+function messageKey(id) {
+  return `mail_${id}`;
+}
+
+async function loadMessage(id) {
+  const raw = await store.get(messageKey(id));
+  return raw ? JSON.parse(raw) : null;
+}
+
+// 未完成的邮件不设置过期时间；已发送或进入死信的邮件保留 statusTtl 供查询
+async function saveMessage(message) {
+  message.updatedAt = new Date().toISOString();
+  const value = JSON.stringify(message);
+  if (message.status === 'sent' || message.status === 'dead') {
+    await store.setEx(messageKey(message.id), config.mail.outbox.statusTtl, value);
+  } else {
+    await store.set(messageKey(message.id), value);
+  }
+}
+
+// 第 n 次失败后的重试间隔：base * 2^(n-1)，不超过上限
+function retryDelaySeconds(attempts) {
+  const { retryBaseSeconds, retryMaxSeconds } = config.mail.outbox;
+  return Math.min(retryBaseSeconds * Math.pow(2, attempts - 1), retryMaxSeconds);
+}
+
+// 加入发件队列，返回邮件 ID；实际发送由 worker 完成
+// from / replyTo 为空时使用全局发件人（MAIL_FROM）
+async function enqueueMail({ to, subject, html, text, template, from, replyTo }) {
+  const now = new Date();
+  const message = {
+    id: uuidv4(),
+    from: from || null,
+    replyTo: replyTo || null,
+    to,
+    subject,
+    html,
+    text,
+    template,
+    status: 'queued',
+    attempts: 0,
+    lastError: null,
+    createdAt: now.toISOString(),
+    nextAttemptAt: now.toISOString(),
+    sentAt: null
+  };
+  await saveMessage(message);
+  await store.zAdd(QUEUE_KEY, { score: now.getTime(), value: message.id });
+
+  // worker 已启动时立即处理，不必等到下一次轮询
+  if (workerTimer) {
+    setImmediate(() => {
+      processDueMessages().catch((err) => {
+        console.error('Mail: Outbox processing failed:', err.message);
+      });
+    });
+  }
+  return message.id;
+}
+
+// 查询投递状态（不返回邮件正文）
+async function getMessageStatus(id) {
+  const message = await loadMessage(id);
+  if (!message) return null;
+  const { html, text, ...status } = message;
+  return status;
+}
+
+// 投递一封已认领的邮件，失败时按指数退避重新入队，超过最大次数后进入死信列表
+async function deliver(id) {
+  try {
+    const message = await loadMessage(id);
+    if (!message || message.status === 'sent' || message.status === 'dead') {
+      return;
+    }
+
+    message.attempts += 1;
+    try {
+      const info = await getTransport().send({
+        from: message.from || config.mail.from,
+        replyTo: message.replyTo || undefined,
+        to: message.to,
+        subject: message.subject,
+        html: message.html,
+        text: message.text
+      });
+      message.status = 'sent';
+      message.sentAt = new Date().toISOString();
+      message.providerMessageId = (info && info.messageId) || null;
+      message.lastError = null;
+      // 已发送的邮件不再保留正文（其中可能包含验证码、登录链接）
+      delete message.html;
+      delete message.text;
+      await saveMessage(message);
+    } catch (err) {
+      message.lastError = err.message;
+      if (message.attempts >= config.mail.outbox.maxAttempts) {
+        message.status = 'dead';
+        message.nextAttemptAt = null;
+        await saveMessage(message);
+        await store.lPush(DEAD_LETTER_KEY, id);
+        await store.lTrim(DEAD_LETTER_KEY, 0, config.mail.outbox.deadLetterMax - 1);
+        console.error(`Mail: Message ${id} moved to dead-letter list after ${message.attempts} attempts:`, err.message);
+      } else {
+        const delay = retryDelaySeconds(message.attempts);
+        const nextAttempt = Date.now() + delay * 1000;
+        message.status = 'retrying';
+        message.nextAttemptAt = new Date(nextAttempt).toISOString();
+        await saveMessage(message);
+        await store.zAdd(QUEUE_KEY, { score: nextAttempt, value: id });
+        console.error(`Mail: Failed to send message ${id} (attempt ${message.attempts}), retrying in ${delay}s:`, err.message);
+      }
+    }
+  } finally {
+    await store.zRem(PROCESSING_KEY, id);
+  }
+}
+
+// 认领到期的邮件；ZREM 成功的实例获得该邮件，多实例部署时不会重复发送
+async function claimDueMessages(now) {
+  const ids = await store.zRangeByScore(QUEUE_KEY, 0, now, { LIMIT: { offset: 0, count: BATCH_SIZE } });
+  const claimed = [];
+  for (const id of ids) {
+    if (await store.zRem(QUEUE_KEY, id)) {
+      await store.zAdd(PROCESSING_KEY, { score: now + LEASE_MS, value: id });
+      claimed.push(id);
+    }
+  }
+  return claimed;
+}
+
+// 租约到期仍未完成的邮件（例如发送过程中进程退出）重新入队
+async function requeueExpiredLeases(now) {
+  const ids = await store.zRangeByScore(PROCESSING_KEY, 0, now);
+  for (const id of ids) {
+    if (await store.zRem(PROCESSING_KEY, id)) {
+      await store.zAdd(QUEUE_KEY, { score: now, value: id });
+    }
+  }
+}
+
+async function processBatches() {
+  let count = 0;
+  await requeueExpiredLeases(Date.now());
+  for (;;) {
+    const ids = await claimDueMessages(Date.now());
+    for (const id of ids) {
+      await deliver(id);
+    }
+    count += ids.length;
+    if (ids.length < BATCH_SIZE) break;
+  }
+  return count;
+}
+
+// 发送所有到期的邮件，返回本次处理的数量
+// 已有一轮处理在进行时等待它完成，调用方返回时到期邮件已处理完毕
+function processDueMessages() {
+  if (!processing) {
+    processing = processBatches().finally(() => {
+      processing = null;
+    });
+  }
+  return processing;
+}
+
+// 定期轮询发件队列
+function startMailWorker() {
+  if (workerTimer) return workerTimer;
+  workerTimer = setInterval(() => {
+    processDueMessages().catch((err) => {
+      console.error('Mail: Outbox processing failed:', err.message);
+    });
+  }, config.mail.outbox.pollIntervalMs);
+  workerTimer.unref();
+  return workerTimer;
+}
+
+function stopMailWorker() {
+  clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+// 死信列表中最近的邮件（最新的在前）
+async function listDeadLetters(limit = 50) {
+  const ids = await store.lRange(DEAD_LETTER_KEY, 0, limit - 1);
+  const messages = await Promise.all(ids.map(getMessageStatus));
+  return messages.filter(Boolean);
+}
+
+// 将死信中的邮件重新加入队列，重试次数清零
+async function retryDeadLetter(id) {
+  const message = await loadMessage(id);
+  if (!message || message.status !== 'dead') {
+    return false;
+  }
+  message.status = 'queued';
+  message.attempts = 0;
+  message.nextAttemptAt = new Date().toISOString();
+  await saveMessage(message);
+  await store.lRem(DEAD_LETTER_KEY, 0, id);
+  await store.zAdd(QUEUE_KEY, { score: Date.now(), value: id });
+  return true;
+}
+
+module.exports = {
+  enqueueMail,
+  getMessageStatus,
+  processDueMessages,
+  startMailWorker,
+  stopMailWorker,
+  listDeadLetters,
+  retryDeadLetter
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// 已读取的模板文件缓存（key 为文件路径）
+const fileCache = new Map();
+let supportedLocales;
+
+function readTemplateFile(file) {
+  if (!fileCache.has(file)) {
+    fileCache.set(file, fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null);
+  }
+  return fileCache.get(file);
+}
+
+// 模板目录下的每个子目录是一种语言，例如 zh-CN、en
+function listLocales() {
+  if (!supportedLocales) {
+    supportedLocales = fs.readdirSync(config.mail.templatesDir, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory())
+      .map((entry) => entry.name);
+  }
+  return supportedLocales;
+}
+
+// 将语言标签匹配到已有的模板语言：先精确匹配，再按主语言匹配（如 zh-TW -> zh-CN、en-US -> en）
+function matchLocale(tag) {
+  if (!tag || typeof tag !== 'string') return null;
+  const locales = listLocales();
+  const lower = tag.trim().toLowerCase();
+  const exact = locales.find((l) => l.toLowerCase() === lower);
+  if (exact) return exact;
+  const language = lower.split('-')[0];
+  return locales.find((l) => l.toLowerCase() === language) ||
+    locales.find((l) => l.toLowerCase().split('-')[0] === language) ||
+    null;
+}
+
+// 解析 Accept-Language，按 q 值从高到低返回语言标签
+function parseAcceptLanguage(header) {
+  if (!header || typeof header !== 'string') return [];
+  return header.split(',')
+    .map((part) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map((p) => p.trim()).find((p) => p.startsWith('q='));
+      return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1 };
+    })
+    .filter((l) => l.tag && l.tag !== '*' && l.q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map((l) => l.tag);
+}
+
+// 选择邮件语言：用户保存的语言偏好 > Accept-Language > 默认语言
+function resolveLocale(preferred, acceptLanguage) {
+  const candidates = [preferred, ...parseAcceptLanguage(acceptLanguage)];
+  for (const tag of candidates) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return config.mail.defaultLocale;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// 替换 {{name}} 变量；HTML 中默认转义，{{{name}}} 原样输出（用于嵌入已渲染的内容）
+function interpolate(source, vars, { html }) {
+  return source.replace(/\{\{(\{?)\s*([\w]+)\s*\}?\}\}/g, (match, raw, name) => {
+    if (!(name in vars) || vars[name] === undefined || vars[name] === null) {
+      throw new Error(`Missing template variable "${name}"`);
+    }
+    return html && !raw ? escapeHtml(vars[name]) : String(vars[name]);
+  });
+}
+
+function loadMessages(locale) {
+  const source = readTemplateFile(path.join(config.mail.templatesDir, locale, 'messages.json'));
+  return source ? JSON.parse(source) : null;
+}
+
+// 读取某种语言的模板，缺失时回退到默认语言
+function loadTemplate(name, locale) {
+  for (const candidate of [locale, config.mail.defaultLocale]) {
+    const dir = path.join(config.mail.templatesDir, candidate);
+    const html = readTemplateFile(path.join(dir, `${name}.html`));
+    const text = readTemplateFile(path.join(dir, `${name}.txt`));
+    const messages = loadMessages(candidate);
+    if (html && text && messages && messages.subjects && messages.subjects[name]) {
+      return { locale: candidate, html, text, messages };
+    }
+  }
+  throw new Error(`Email template "${name}" not found`);
+}
+
+// 渲染邮件：返回 { subject, html, text }，正文套用共享布局（layout.html / layout.txt）
+function renderTemplate(name, locale, vars) {
+  const template = loadTemplate(name, locale);
+  const { messages } = template;
+  const shared = {
+    ...vars,
+    brandName: vars.brandName || config.mail.brandName,
+    appUrl: config.appUrl,
+    year: new Date().getFullYear()
+  };
+
+  const subject = interpolate(messages.subjects[name], shared, { html: false });
+  const layoutVars = {
+    ...shared,
+    lang: template.locale,
+    subject,
+    footer: interpolate(messages.footer, shared, { html: false })
+  };
+  const layoutHtml = readTemplateFile(path.join(config.mail.templatesDir, 'layout.html'));
+  const layoutText = readTemplateFile(path.join(config.mail.templatesDir, 'layout.txt'));
+
+  return {
+    subject,
+    html: interpolate(layoutHtml, { ...layoutVars, content: interpolate(template.html, shared, { html: true }).trim() }, { html: true }),
+    text: interpolate(layoutText, { ...layoutVars, content: interpolate(template.text, shared, { html: false }).trim() }, { html: false })
+  };
+}
+
+module.exports = {
+  resolveLocale,
+  renderTemplate
+};
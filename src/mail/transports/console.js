@@ -0,0 +1,24 @@
+const nodemailer = require('nodemailer');
+
+// 本地开发：把邮件的纯文本内容打印到控制台
+function createConsoleTransport() {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+
+  return {
+    name: 'console',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      console.log([
+        '----- Mail -----',
+        `To: ${message.to}`,
+        `Subject: ${message.subject}`,
+        '',
+        message.text,
+        '----------------'
+      ].join('\n'));
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+
+// 本地开发：把邮件写成 .eml 文件，可直接用邮件客户端打开
+function createFileTransport() {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      await fs.mkdir(config.mail.fileDir, { recursive: true });
+      const file = path.join(config.mail.fileDir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`);
+      await fs.writeFile(file, info.message);
+      console.log(`Mail: Wrote "${message.subject}" for ${message.to} to ${file}`);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = createFileTransport;
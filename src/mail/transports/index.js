@@ -0,0 +1,32 @@
+const config = require('../../config');
+
+// 可用的发送方式，由 MAIL_TRANSPORT 选择；每个 transport 提供 send(message)，失败时抛出异常
+const factories = {
+  smtp: () => require('./smtp')(),
+  file: () => require('./file')(),
+  console: () => require('./console')(),
+  memory: () => require('./memory')()
+};
+
+let transport;
+
+function getTransport() {
+  if (!transport) {
+    const factory = factories[config.mail.transport];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${config.mail.transport}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+// 替换当前 transport（例如测试中使用内存 transport 并断言发送内容）
+function setTransport(custom) {
+  transport = custom;
+}
+
+module.exports = {
+  getTransport,
+  setTransport
+};
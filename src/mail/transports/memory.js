@@ -0,0 +1,22 @@
+const nodemailer = require('nodemailer');
+
+// 测试用：邮件保存在内存中，通过 transport.sent 读取，clear() 清空
+// 经 nodemailer 的 jsonTransport 生成 Message-ID，与真实发送时一样
+function createMemoryTransport() {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+  const sent = [];
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      sent.push({ ...message, messageId: info.messageId, sentAt: new Date() });
+      return { messageId: info.messageId };
+    },
+    clear() {
+      sent.length = 0;
+    }
+  };
+}
+
+module.exports = createMemoryTransport;
@@ -0,0 +1,30 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+
+// 阿里云 DirectMail（或其他 SMTP 服务）
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: config.smtp.host,
+    port: config.smtp.port,
+    secure: config.smtp.secure,
+    auth: {
+      user: config.smtp.user,
+      pass: config.smtp.pass
+    }
+  });
+
+  // 启动时检查一次配置，只用于提示；发送失败由发件队列重试，不再因此拒绝所有发送
+  transporter.verify()
+    .then(() => console.log('SMTP: Transporter verified'))
+    .catch((err) => console.error('SMTP: Transporter verification failed:', err.message));
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+module.exports = createSmtpTransport;
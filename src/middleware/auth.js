@@ -1,6 +1,45 @@
-const jwt = require('jsonwebtoken');
-const config = require('../config');
-const redisClient = require('../redis');
+const store = require('../storage');
+const { models } = require('../db');
+const { verifyJwt } = require('../services/keys');
+const { touchSession, sessionMeta } = require('../services/sessions');
+const { getUserRoles } = require('../services/roles');
+const {
+  isPersonalAccessToken,
+  findToken,
+  isExpired,
+  touchToken
+} = require('../services/personalAccessTokens');
+
+// 个人访问令牌：没有会话，req.user.scopes 为令牌的授权范围
+async function authenticatePersonalAccessToken(req, res, next, token) {
+  const record = await findToken(token);
+  if (!record) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+  if (isExpired(record)) {
+    return res.status(401).json({ error: 'Token expired' });
+  }
+
+  const user = await models.User.findByPk(record.user_id, { attributes: ['id', 'email', 'disabled_at'] });
+  if (!user) {
+    return res.status(401).json({ error: 'Token revoked' });
+  }
+  if (user.disabled_at) {
+    return res.status(403).json({ error: 'Account disabled' });
+  }
+
+  await touchToken(record, sessionMeta(req).ip);
+
+  req.user = {
+    sub: user.id,
+    email: user.email,
+    roles: await getUserRoles(user.id),
+    scopes: record.scopes,
+    tokenType: 'pat',
+    tokenId: record.id
+  };
+  next();
+}
 
 async function authMiddleware(req, res, next) {
   try {
@@ -15,10 +54,15 @@ async function authMiddleware(req, res, next) {
     if (!token) {
       return res.status(401).json({ error: 'Token required' });
     }
+
+    if (isPersonalAccessToken(token)) {
+      return await authenticatePersonalAccessToken(req, res, next, token);
+    }
     
     let payload;
     try {
-      payload = jwt.verify(token, config.jwtSecret);
+      // 按令牌头部的 kid 选择验证密钥
+      payload = await verifyJwt(token);
     } catch (err) {
       if (err.name === 'TokenExpiredError') {
         return res.status(401).json({ error: 'Token expired' });
@@ -30,15 +74,15 @@ async function authMiddleware(req, res, next) {
     }
     
     // 检查token格式
-    const jti = payload.jti;
-    if (!jti) {
+    const { jti, sid } = payload;
+    if (!jti || !sid) {
       return res.status(401).json({ error: 'Malformed token' });
     }
     
     // 检查黑名单
     try {
       const blackKey = `black_${jti}`;
-      const isBlack = await redisClient.get(blackKey);
+      const isBlack = await store.get(blackKey);
       if (isBlack) {
         return res.status(401).json({ error: 'Token revoked' });
       }
@@ -47,6 +91,30 @@ async function authMiddleware(req, res, next) {
       console.error('Redis error in auth middleware:', err.message);
       // 继续执行，允许请求通过（可以根据需要调整策略）
     }
+
+    // 检查会话是否已被撤销，同时更新最后活跃时间
+    // 存储不可用时拒绝请求：无法确认会话未被撤销（退出登录、修改密码后必须立即失效）
+    let session;
+    try {
+      session = await touchSession(sid, sessionMeta(req));
+    } catch (err) {
+      console.error('Session store error in auth middleware:', err.message);
+      return res.status(503).json({ error: 'Service unavailable' });
+    }
+    if (!session) {
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+
+    // 检查令牌版本：修改或重置密码后，旧令牌立即失效
+    const user = await models.User.findByPk(payload.sub, { attributes: ['id', 'token_version', 'disabled_at'] });
+    if (!user || (payload.tv || 0) !== user.token_version) {
+      return res.status(401).json({ error: 'Token revoked' });
+    }
+
+    // 账户已被管理员停用
+    if (user.disabled_at) {
+      return res.status(403).json({ error: 'Account disabled' });
+    }
     
     req.user = payload;
     next();
@@ -0,0 +1,60 @@
+const { getPermissionsForRoles } = require('../services/roles');
+
+// 在 authMiddleware 之后使用：要求拥有任意一个指定角色
+function requireRole(...roles) {
+  return (req, res, next) => {
+    const userRoles = (req.user && req.user.roles) || [];
+    if (!roles.some((role) => userRoles.includes(role))) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
+
+// 在 authMiddleware 之后使用：要求拥有全部指定权限（由令牌中的角色推导）
+function requirePermission(...permissions) {
+  return async (req, res, next) => {
+    try {
+      let granted = await getPermissionsForRoles((req.user && req.user.roles) || []);
+      // 个人访问令牌只拥有创建时选择的权限
+      if (req.user.scopes) {
+        granted = granted.filter((permission) => req.user.scopes.includes(permission));
+      }
+      if (!permissions.every((permission) => granted.includes(permission))) {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      req.user.permissions = granted;
+      next();
+    } catch (err) {
+      console.error('Authorize middleware error:', err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+// 在 authMiddleware 之后使用：个人访问令牌需要包含全部指定范围，登录会话的令牌不受限制
+function requireScope(...scopes) {
+  return (req, res, next) => {
+    const granted = req.user && req.user.scopes;
+    if (granted && !scopes.every((scope) => granted.includes(scope))) {
+      return res.status(403).json({ error: 'Insufficient scope' });
+    }
+    next();
+  };
+}
+
+// 在 authMiddleware 之后使用：只允许登录会话，拒绝个人访问令牌
+// 用于管理凭据、会话和令牌本身的接口，避免泄露的令牌被用来扩大权限
+function requireSession(req, res, next) {
+  if (req.user && req.user.tokenType === 'pat') {
+    return res.status(403).json({ error: 'Session required' });
+  }
+  next();
+}
+
+module.exports = {
+  requireRole,
+  requirePermission,
+  requireScope,
+  requireSession
+};
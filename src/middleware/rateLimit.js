@@ -0,0 +1,83 @@
+const config = require('../config');
+const store = require('../storage');
+
+// 滑动窗口计数：当前窗口计数 + 上一窗口计数按剩余比例加权
+// 只依赖 INCR / DECR / EXPIRE / GET，返回 { limited, retryAfter }
+// 先 INCR 占用名额再按返回值判断，并发请求拿到的计数各不相同，不会因同时读到旧值而一起通过；
+// 超限的请求用 DECR 归还名额，被拒绝的请求不计入窗口
+async function slidingWindow(key, limit, windowSeconds) {
+  const now = Date.now() / 1000;
+  const window = Math.floor(now / windowSeconds);
+  const elapsed = now - window * windowSeconds;
+  const weight = 1 - elapsed / windowSeconds;
+
+  const currentKey = `rl_${key}_${window}`;
+  const previousKey = `rl_${key}_${window - 1}`;
+  const reserved = await store.incr(currentKey);
+  await store.expire(currentKey, windowSeconds * 2);
+  const previous = parseInt(await store.get(previousKey) || '0', 10);
+  // 本次请求之前的计数
+  const current = reserved - 1;
+  const count = current + previous * weight;
+
+  if (count >= limit) {
+    await store.decr(currentKey);
+    let retryAfter;
+    if (current >= limit) {
+      // 等到下一窗口，且本窗口计数的加权值降到上限以下
+      retryAfter = (windowSeconds - elapsed) + windowSeconds * Math.max(0, 1 - limit / current);
+    } else {
+      // 本窗口内，上一窗口的加权值降到 (limit - current) 以下即可
+      retryAfter = (windowSeconds - elapsed) - windowSeconds * (limit - current) / previous;
+    }
+    return { limited: true, retryAfter: Math.max(1, Math.ceil(retryAfter)) };
+  }
+
+  return { limited: false };
+}
+
+function tooManyRequests(res, retryAfter, message = 'too many requests') {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
+
+// 按 IP、邮箱和已登录用户限流，规则来自 config.rateLimit[name]，例如 { ip: {...}, email: {...} }
+// user 规则按 req.user.sub 计数，需放在 authMiddleware 之后
+function rateLimit(name) {
+  const rules = config.rateLimit[name];
+  if (!rules) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      const subjects = [];
+      if (rules.ip) {
+        subjects.push(['ip', req.ip, rules.ip]);
+      }
+      const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+      if (rules.email && email) {
+        subjects.push(['email', email, rules.email]);
+      }
+      if (rules.user && req.user) {
+        subjects.push(['user', String(req.user.sub), rules.user]);
+      }
+
+      for (const [type, value, rule] of subjects) {
+        const result = await slidingWindow(`${name}_${type}_${value}`, rule.limit, rule.windowSeconds);
+        if (result.limited) {
+          return tooManyRequests(res, result.retryAfter);
+        }
+      }
+    } catch (err) {
+      // Redis 故障时不阻止请求，与 authMiddleware 的处理策略一致
+      console.error('Redis error in rate limit:', err.message);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  rateLimit,
+  tooManyRequests
+};
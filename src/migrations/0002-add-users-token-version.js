@@ -0,0 +1,15 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'users', 'token_version', {
+      type: Sequelize.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'token_version');
+  }
+};
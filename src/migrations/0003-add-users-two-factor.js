@@ -0,0 +1,25 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'users', 'totp_secret', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+    await addColumnIfMissing(queryInterface, 'users', 'totp_enabled', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    });
+    await addColumnIfMissing(queryInterface, 'users', 'recovery_codes', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'recovery_codes');
+    await queryInterface.removeColumn('users', 'totp_enabled');
+    await queryInterface.removeColumn('users', 'totp_secret');
+  }
+};
@@ -0,0 +1,59 @@
+const {
+  createTableIfMissing,
+  addIndexIfMissing,
+  idColumn,
+  timestampColumns,
+  userIdColumn
+} = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'webauthn_credentials', {
+      id: idColumn(Sequelize),
+      user_id: userIdColumn(Sequelize),
+      credential_id: {
+        type: Sequelize.STRING(512),
+        allowNull: false,
+        unique: true
+      },
+      public_key: {
+        type: Sequelize.BLOB,
+        allowNull: false
+      },
+      counter: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        defaultValue: 0
+      },
+      transports: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      device_type: {
+        type: Sequelize.STRING(32),
+        allowNull: true
+      },
+      backed_up: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestampColumns(Sequelize)
+    });
+    await addIndexIfMissing(queryInterface, 'webauthn_credentials', ['user_id'], {
+      name: 'idx_webauthn_credentials_user_id'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('webauthn_credentials');
+  }
+};
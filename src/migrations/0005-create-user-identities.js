@@ -0,0 +1,40 @@
+const {
+  createTableIfMissing,
+  addIndexIfMissing,
+  idColumn,
+  timestampColumns,
+  userIdColumn
+} = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'user_identities', {
+      id: idColumn(Sequelize),
+      user_id: userIdColumn(Sequelize),
+      provider: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ...timestampColumns(Sequelize)
+    });
+    await addIndexIfMissing(queryInterface, 'user_identities', ['provider', 'subject'], {
+      name: 'uniq_user_identities_provider_subject',
+      unique: true
+    });
+    await addIndexIfMissing(queryInterface, 'user_identities', ['user_id'], {
+      name: 'idx_user_identities_user_id'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('user_identities');
+  }
+};
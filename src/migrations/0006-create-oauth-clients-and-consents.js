@@ -0,0 +1,61 @@
+const {
+  createTableIfMissing,
+  addIndexIfMissing,
+  idColumn,
+  timestampColumns,
+  userIdColumn
+} = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'oauth_clients', {
+      id: idColumn(Sequelize),
+      client_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      client_secret_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      redirect_uris: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      trusted: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      ...timestampColumns(Sequelize)
+    });
+
+    await createTableIfMissing(queryInterface, 'oauth_consents', {
+      id: idColumn(Sequelize),
+      user_id: userIdColumn(Sequelize),
+      client_id: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      scopes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      ...timestampColumns(Sequelize)
+    });
+    await addIndexIfMissing(queryInterface, 'oauth_consents', ['user_id', 'client_id'], {
+      name: 'uniq_oauth_consents_user_client',
+      unique: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('oauth_consents');
+    await queryInterface.dropTable('oauth_clients');
+  }
+};
@@ -0,0 +1,39 @@
+const { createTableIfMissing, idColumn, timestampColumns } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'signing_keys', {
+      id: idColumn(Sequelize),
+      kid: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      alg: {
+        type: Sequelize.STRING(10),
+        allowNull: false
+      },
+      private_key: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      public_key: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      retired_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestampColumns(Sequelize)
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('signing_keys');
+  }
+};
@@ -0,0 +1,34 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'users', 'display_name', {
+      type: Sequelize.STRING(100),
+      allowNull: true
+    });
+    await addColumnIfMissing(queryInterface, 'users', 'avatar_url', {
+      type: Sequelize.STRING(1024),
+      allowNull: true
+    });
+    await addColumnIfMissing(queryInterface, 'users', 'locale', {
+      type: Sequelize.STRING(35),
+      allowNull: true
+    });
+    await addColumnIfMissing(queryInterface, 'users', 'timezone', {
+      type: Sequelize.STRING(64),
+      allowNull: true
+    });
+    await addColumnIfMissing(queryInterface, 'users', 'metadata', {
+      type: Sequelize.JSON,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'metadata');
+    await queryInterface.removeColumn('users', 'timezone');
+    await queryInterface.removeColumn('users', 'locale');
+    await queryInterface.removeColumn('users', 'avatar_url');
+    await queryInterface.removeColumn('users', 'display_name');
+  }
+};
@@ -0,0 +1,18 @@
+const { addColumnIfMissing, addIndexIfMissing } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'users', 'deletion_scheduled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+    await addIndexIfMissing(queryInterface, 'users', ['deletion_scheduled_at'], {
+      name: 'idx_users_deletion_scheduled_at'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('users', 'idx_users_deletion_scheduled_at');
+    await queryInterface.removeColumn('users', 'deletion_scheduled_at');
+  }
+};
@@ -0,0 +1,107 @@
+const { createTableIfMissing, idColumn, timestampColumns, userIdColumn } = require('./helpers');
+
+// 初始权限和角色：admin 拥有全部权限
+const PERMISSIONS = [
+  { name: 'users:read', description: 'List and view user accounts' },
+  { name: 'users:write', description: 'Disable, enable, verify accounts and revoke their tokens' }
+];
+const ROLES = [
+  { name: 'admin', description: 'Full access to user management', permissions: ['users:read', 'users:write'] }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'roles', {
+      id: idColumn(Sequelize),
+      name: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ...timestampColumns(Sequelize)
+    });
+
+    await createTableIfMissing(queryInterface, 'permissions', {
+      id: idColumn(Sequelize),
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ...timestampColumns(Sequelize)
+    });
+
+    await createTableIfMissing(queryInterface, 'role_permissions', {
+      role_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        primaryKey: true,
+        references: { model: 'roles', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      permission_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        primaryKey: true,
+        references: { model: 'permissions', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      ...timestampColumns(Sequelize)
+    });
+
+    await createTableIfMissing(queryInterface, 'user_roles', {
+      user_id: { ...userIdColumn(Sequelize), primaryKey: true },
+      role_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        primaryKey: true,
+        references: { model: 'roles', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      ...timestampColumns(Sequelize)
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('permissions', PERMISSIONS.map((p) => ({
+      ...p,
+      created_at: now,
+      updated_at: now
+    })));
+    await queryInterface.bulkInsert('roles', ROLES.map(({ name, description }) => ({
+      name,
+      description,
+      created_at: now,
+      updated_at: now
+    })));
+
+    const [roles, permissions] = await Promise.all([
+      queryInterface.select(null, 'roles', {}),
+      queryInterface.select(null, 'permissions', {})
+    ]);
+    const roleId = new Map(roles.map((r) => [r.name, r.id]));
+    const permissionId = new Map(permissions.map((p) => [p.name, p.id]));
+    await queryInterface.bulkInsert('role_permissions', ROLES.flatMap((role) =>
+      role.permissions.map((name) => ({
+        role_id: roleId.get(role.name),
+        permission_id: permissionId.get(name),
+        created_at: now,
+        updated_at: now
+      }))
+    ));
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('user_roles');
+    await queryInterface.dropTable('role_permissions');
+    await queryInterface.dropTable('permissions');
+    await queryInterface.dropTable('roles');
+  }
+};
@@ -0,0 +1,14 @@
+const { addColumnIfMissing } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await addColumnIfMissing(queryInterface, 'users', 'disabled_at', {
+      type: Sequelize.DATE,
+      allowNull: true
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('users', 'disabled_at');
+  }
+};
@@ -0,0 +1,80 @@
+const { createTableIfMissing, addIndexIfMissing, idColumn } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'audit_events', {
+      id: idColumn(Sequelize),
+      // 审计记录比用户保留得更久：用户删除后 user_id 置空，通过 email 仍可追溯
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      event: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      outcome: {
+        type: Sequelize.STRING(20),
+        allowNull: false
+      },
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      user_agent: {
+        type: Sequelize.STRING(512),
+        allowNull: true
+      },
+      details: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await addIndexIfMissing(queryInterface, 'audit_events', ['user_id', 'created_at'], {
+      name: 'idx_audit_events_user_id_created_at'
+    });
+    await addIndexIfMissing(queryInterface, 'audit_events', ['created_at'], {
+      name: 'idx_audit_events_created_at'
+    });
+    await addIndexIfMissing(queryInterface, 'audit_events', ['email'], {
+      name: 'idx_audit_events_email'
+    });
+
+    // 管理员查询审计日志的权限
+    const now = new Date();
+    await queryInterface.bulkInsert('permissions', [{
+      name: 'audit:read',
+      description: 'Query the security audit log',
+      created_at: now,
+      updated_at: now
+    }]);
+    const [[admin], [permission]] = await Promise.all([
+      queryInterface.select(null, 'roles', { where: { name: 'admin' } }),
+      queryInterface.select(null, 'permissions', { where: { name: 'audit:read' } })
+    ]);
+    if (admin) {
+      await queryInterface.bulkInsert('role_permissions', [{
+        role_id: admin.id,
+        permission_id: permission.id,
+        created_at: now,
+        updated_at: now
+      }]);
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.bulkDelete('permissions', { name: 'audit:read' });
+    await queryInterface.dropTable('audit_events');
+  }
+};
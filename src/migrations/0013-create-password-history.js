@@ -0,0 +1,31 @@
+const { createTableIfMissing, addIndexIfMissing, idColumn } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'password_history', {
+      id: idColumn(Sequelize),
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      password_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+    await addIndexIfMissing(queryInterface, 'password_history', ['user_id', 'created_at'], {
+      name: 'idx_password_history_user_id_created_at'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('password_history');
+  }
+};
@@ -0,0 +1,53 @@
+const { createTableIfMissing, addIndexIfMissing, idColumn, timestampColumns } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'personal_access_tokens', {
+      id: idColumn(Sequelize),
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      // 令牌的 SHA-256 哈希，明文只在创建时返回一次
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      token_prefix: {
+        type: Sequelize.STRING(16),
+        allowNull: false
+      },
+      scopes: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_used_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      last_used_ip: {
+        type: Sequelize.STRING(45),
+        allowNull: true
+      },
+      ...timestampColumns(Sequelize)
+    });
+    await addIndexIfMissing(queryInterface, 'personal_access_tokens', ['user_id'], {
+      name: 'idx_personal_access_tokens_user_id'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('personal_access_tokens');
+  }
+};
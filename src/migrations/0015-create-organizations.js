@@ -0,0 +1,52 @@
+const { createTableIfMissing, addIndexIfMissing, idColumn, timestampColumns, userIdColumn } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'organizations', {
+      id: idColumn(Sequelize),
+      slug: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false
+      },
+      settings: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      ...timestampColumns(Sequelize)
+    });
+
+    await createTableIfMissing(queryInterface, 'organization_members', {
+      id: idColumn(Sequelize),
+      organization_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: { model: 'organizations', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      user_id: userIdColumn(Sequelize),
+      role: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'member'
+      },
+      ...timestampColumns(Sequelize)
+    });
+    await addIndexIfMissing(queryInterface, 'organization_members', ['organization_id', 'user_id'], {
+      name: 'uniq_organization_members_org_user',
+      unique: true
+    });
+    await addIndexIfMissing(queryInterface, 'organization_members', ['user_id'], {
+      name: 'idx_organization_members_user_id'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('organization_members');
+    await queryInterface.dropTable('organizations');
+  }
+};
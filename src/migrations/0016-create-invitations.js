@@ -0,0 +1,56 @@
+const { createTableIfMissing, addIndexIfMissing, idColumn, timestampColumns } = require('./helpers');
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await createTableIfMissing(queryInterface, 'invitations', {
+      id: idColumn(Sequelize),
+      email: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      // 为空表示管理员发出的邀请（不属于任何组织）
+      organization_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: { model: 'organizations', key: 'id' },
+        onDelete: 'CASCADE'
+      },
+      // 组织邀请为组织角色，管理员邀请为全局角色（可以为空）
+      role: {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      },
+      // 邀请链接中令牌的 SHA-256 哈希
+      token_hash: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true
+      },
+      invited_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: { model: 'users', key: 'id' },
+        onDelete: 'SET NULL'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      accepted_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ...timestampColumns(Sequelize)
+    });
+    await addIndexIfMissing(queryInterface, 'invitations', ['email'], {
+      name: 'idx_invitations_email'
+    });
+    await addIndexIfMissing(queryInterface, 'invitations', ['organization_id'], {
+      name: 'idx_invitations_organization_id'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('invitations');
+  }
+};
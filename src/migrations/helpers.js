@@ -0,0 +1,81 @@
+// 迁移的辅助函数：升级前由 init-db.sql 或 sequelize.sync() 建立的数据库中，
+// 表和字段可能已经存在，这里跳过已存在的部分，使基线之后的迁移也能在这些数据库上执行
+
+async function tableExists(queryInterface, table) {
+  const tables = await queryInterface.showAllTables();
+  return tables.map((t) => (typeof t === 'string' ? t : t.tableName)).includes(table);
+}
+
+async function createTableIfMissing(queryInterface, table, attributes, options = {}) {
+  if (await tableExists(queryInterface, table)) {
+    return false;
+  }
+  await queryInterface.createTable(table, attributes, { charset: 'utf8mb4', ...options });
+  return true;
+}
+
+async function addColumnIfMissing(queryInterface, table, column, definition) {
+  const columns = await queryInterface.describeTable(table);
+  if (columns[column]) {
+    return false;
+  }
+  await queryInterface.addColumn(table, column, definition);
+  return true;
+}
+
+// 同名索引或相同字段上的索引（例如 sync() 按默认命名创建的）已存在时跳过
+async function addIndexIfMissing(queryInterface, table, fields, options) {
+  const indexes = await queryInterface.showIndex(table);
+  const sameFields = (index) =>
+    (index.fields || []).map((f) => f.attribute).join(',') === fields.join(',');
+  if (indexes.some((index) => index.name === options.name || sameFields(index))) {
+    return false;
+  }
+  await queryInterface.addIndex(table, fields, options);
+  return true;
+}
+
+// 所有表通用的主键和时间戳字段
+function idColumn(Sequelize) {
+  return {
+    type: Sequelize.BIGINT.UNSIGNED,
+    allowNull: false,
+    autoIncrement: true,
+    primaryKey: true
+  };
+}
+
+function timestampColumns(Sequelize) {
+  return {
+    created_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    },
+    updated_at: {
+      type: Sequelize.DATE,
+      allowNull: false,
+      defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+    }
+  };
+}
+
+// 指向 users.id 的外键，用户删除时级联删除
+function userIdColumn(Sequelize) {
+  return {
+    type: Sequelize.BIGINT.UNSIGNED,
+    allowNull: false,
+    references: { model: 'users', key: 'id' },
+    onDelete: 'CASCADE'
+  };
+}
+
+module.exports = {
+  tableExists,
+  createTableIfMissing,
+  addColumnIfMissing,
+  addIndexIfMissing,
+  idColumn,
+  timestampColumns,
+  userIdColumn
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize, QueryTypes } = require('sequelize');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// 与 sequelize-cli 相同的记录表，每行是一个已执行的迁移文件名
+const META_TABLE = 'SequelizeMeta';
+// 迁移文件名：四位序号 + 描述，例如 0001-create-users.js
+const MIGRATION_FILE_PATTERN = /^\d{4}-[\w-]+\.js$/;
+
+function listMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort();
+}
+
+function loadMigration(name) {
+  const migration = require(path.join(MIGRATIONS_DIR, name));
+  if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+    throw new Error(`Migration ${name} must export up() and down()`);
+  }
+  return migration;
+}
+
+async function ensureMetaTable(queryInterface) {
+  await queryInterface.createTable(META_TABLE, {
+    name: {
+      type: Sequelize.STRING(255),
+      allowNull: false,
+      primaryKey: true
+    }
+  });
+}
+
+async function executedMigrations(sequelize) {
+  const queryInterface = sequelize.getQueryInterface();
+  await ensureMetaTable(queryInterface);
+  const rows = await sequelize.query(
+    `SELECT name FROM ${queryInterface.quoteIdentifier(META_TABLE)} ORDER BY name`,
+    { type: QueryTypes.SELECT }
+  );
+  return rows.map((row) => row.name);
+}
+
+// 所有迁移及其执行状态
+async function status(sequelize) {
+  const executed = new Set(await executedMigrations(sequelize));
+  return listMigrations().map((name) => ({ name, executed: executed.has(name) }));
+}
+
+async function pendingMigrations(sequelize) {
+  return (await status(sequelize)).filter((m) => !m.executed).map((m) => m.name);
+}
+
+// 按顺序执行未执行的迁移；指定 to 时执行到该迁移为止（包含）
+async function up(sequelize, { to } = {}) {
+  const queryInterface = sequelize.getQueryInterface();
+  const pending = await pendingMigrations(sequelize);
+  if (to && !pending.includes(to)) {
+    throw new Error(`Migration ${to} is not pending`);
+  }
+
+  const applied = [];
+  for (const name of pending) {
+    const migration = loadMigration(name);
+    console.log(`Migrate: up ${name}`);
+    await migration.up(queryInterface, Sequelize);
+    await queryInterface.bulkInsert(META_TABLE, [{ name }]);
+    applied.push(name);
+    if (name === to) break;
+  }
+  return applied;
+}
+
+// 按倒序回滚最近执行的 steps 个迁移
+async function down(sequelize, { steps = 1 } = {}) {
+  const queryInterface = sequelize.getQueryInterface();
+  const executed = await executedMigrations(sequelize);
+  const available = new Set(listMigrations());
+  const targets = executed.reverse().slice(0, steps);
+
+  const reverted = [];
+  for (const name of targets) {
+    if (!available.has(name)) {
+      throw new Error(`Migration file ${name} not found`);
+    }
+    const migration = loadMigration(name);
+    console.log(`Migrate: down ${name}`);
+    await migration.down(queryInterface, Sequelize);
+    await queryInterface.bulkDelete(META_TABLE, { name });
+    reverted.push(name);
+  }
+  return reverted;
+}
+
+module.exports = {
+  status,
+  pendingMigrations,
+  up,
+  down
+};
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 安全审计日志，只追加不修改
+  const AuditEvent = sequelize.define('AuditEvent', {
+    // 未知邮箱的登录失败等事件没有对应用户；用户删除后置空
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true
+    },
+    // 事件类型，例如 login、password.reset
+    event: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // success 或 failure
+    outcome: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    },
+    user_agent: {
+      type: DataTypes.STRING(512),
+      allowNull: true
+    },
+    // 附加信息，例如失败原因、登录方式
+    details: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'audit_events',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+  return AuditEvent;
+};
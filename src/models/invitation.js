@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 邀请：通过邮件中的链接创建已验证的账户，或把已有账户加入组织 / 授予角色
+  const Invitation = sequelize.define('Invitation', {
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    // 为空表示管理员发出的邀请
+    organization_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true
+    },
+    // 组织邀请为 owner / admin / member，管理员邀请为 roles 表中的角色名称或空
+    role: {
+      type: DataTypes.STRING(50),
+      allowNull: true
+    },
+    // 邀请令牌的 SHA-256 哈希，明文只出现在邮件中
+    token_hash: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    invited_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // 接受后不再有效，保留记录便于查看
+    accepted_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'invitations',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return Invitation;
+};
@@ -0,0 +1,38 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OAuthClient = sequelize.define('OAuthClient', {
+    client_id: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    // 客户端密钥的 SHA-256 哈希；公开客户端（SPA、移动端）为空，只能使用 PKCE
+    client_secret_hash: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // 允许的回调地址白名单（精确匹配）
+    redirect_uris: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // 受信任的内部应用跳过授权确认页
+    trusted: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  }, {
+    tableName: 'oauth_clients',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return OAuthClient;
+};
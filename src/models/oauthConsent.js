@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const OAuthConsent = sequelize.define('OAuthConsent', {
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    client_id: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // 用户已同意授予该客户端的 scope 列表
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false
+    }
+  }, {
+    tableName: 'oauth_consents',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['user_id', 'client_id'] }
+    ]
+  });
+  return OAuthConsent;
+};
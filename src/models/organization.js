@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 组织（租户）：同一实例上的不同产品或客户，用户通过成员关系加入
+  const Organization = sequelize.define('Organization', {
+    // 组织标识，用于 X-Organization 请求头
+    slug: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // 允许的登录方式（signInMethods）和发件人设置（mail），见 services/organizations.js
+    settings: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    tableName: 'organizations',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return Organization;
+};
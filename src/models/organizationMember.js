@@ -0,0 +1,31 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 用户在组织中的成员关系，每个组织一个角色
+  const OrganizationMember = sequelize.define('OrganizationMember', {
+    organization_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    // owner、admin 或 member
+    role: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: 'member'
+    }
+  }, {
+    tableName: 'organization_members',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['organization_id', 'user_id'] }
+    ]
+  });
+  return OrganizationMember;
+};
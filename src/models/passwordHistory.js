@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 用户以前使用过的密码哈希，用于禁止重复使用最近的密码
+  const PasswordHistory = sequelize.define('PasswordHistory', {
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    password_hash: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    }
+  }, {
+    tableName: 'password_history',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false
+  });
+  return PasswordHistory;
+};
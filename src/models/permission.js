@@ -0,0 +1,23 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 权限名称形如 users:read、users:write
+  const Permission = sequelize.define('Permission', {
+    name: {
+      type: DataTypes.STRING(100),
+      unique: true,
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'permissions',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return Permission;
+};
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 个人访问令牌：供脚本、CI 等机器客户端使用，代替保存用户密码
+  const PersonalAccessToken = sequelize.define('PersonalAccessToken', {
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    // 令牌的 SHA-256 哈希，明文只在创建时返回一次
+    token_hash: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    // 令牌开头的几个字符，便于用户在列表中辨认
+    token_prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+    // 授权范围，例如 ["profile:read", "users:read"]
+    scopes: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // 为空表示永不过期
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    last_used_ip: {
+      type: DataTypes.STRING(45),
+      allowNull: true
+    }
+  }, {
+    tableName: 'personal_access_tokens',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return PersonalAccessToken;
+};
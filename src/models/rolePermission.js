@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 角色与权限的关联表，主键为 (role_id, permission_id)
+  const RolePermission = sequelize.define('RolePermission', {
+    role_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    permission_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    }
+  }, {
+    tableName: 'role_permissions',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return RolePermission;
+};
@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const SigningKey = sequelize.define('SigningKey', {
+    // JWT 头部的 kid
+    kid: {
+      type: DataTypes.STRING(64),
+      unique: true,
+      allowNull: false
+    },
+    alg: {
+      type: DataTypes.STRING(10),
+      allowNull: false
+    },
+    private_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    public_key: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+    // 轮换后不再用于签名，但在 expires_at 之前仍用于验证
+    retired_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'signing_keys',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return SigningKey;
+};
@@ -15,11 +15,79 @@ module.exports = (sequelize) => {
       type: DataTypes.BOOLEAN,
       allowNull: false,
       defaultValue: false
+    },
+    // 令牌版本号：写入 JWT 的 tv 声明，递增后此前签发的所有令牌失效
+    token_version: {
+      type: DataTypes.INTEGER.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // TOTP 两步验证
+    totp_secret: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    totp_enabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // 一次性恢复码的 SHA-256 哈希列表
+    recovery_codes: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // 个人资料
+    display_name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    avatar_url: {
+      type: DataTypes.STRING(1024),
+      allowNull: true
+    },
+    // BCP 47 语言标签，例如 zh-CN
+    locale: {
+      type: DataTypes.STRING(35),
+      allowNull: true
+    },
+    // IANA 时区，例如 Asia/Shanghai
+    timezone: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    // 客户端自定义的键值对（扁平对象，值为字符串、数字、布尔值）
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // 用户申请注销后，宽限期结束时间；到期后由后台任务永久删除
+    deletion_scheduled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // 管理员停用账户的时间，非空时禁止登录，已签发的令牌也会被拒绝
+    disabled_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     tableName: 'users',
     underscored: true,
-    timestamps: true
+    timestamps: true,
+    // 属性名与列名一致，代码中统一使用 created_at / updated_at
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
   });
+
+  // 序列化时去掉敏感字段，防止意外把用户对象直接返回给客户端
+  User.prototype.toJSON = function () {
+    const values = { ...this.get() };
+    delete values.password_hash;
+    delete values.totp_secret;
+    delete values.recovery_codes;
+    return values;
+  };
+
   return User;
 };
@@ -0,0 +1,35 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const UserIdentity = sequelize.define('UserIdentity', {
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    // 第三方提供方名称，对应 OAUTH_PROVIDERS 中的 name
+    provider: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // 提供方内的用户唯一标识（OIDC sub 或 OAuth2 用户 ID）
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    tableName: 'user_identities',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      { unique: true, fields: ['provider', 'subject'] },
+      { fields: ['user_id'] }
+    ]
+  });
+  return UserIdentity;
+};
@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // 用户与角色的关联表，主键为 (user_id, role_id)
+  const UserRole = sequelize.define('UserRole', {
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    role_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    }
+  }, {
+    tableName: 'user_roles',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return UserRole;
+};
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  const WebauthnCredential = sequelize.define('WebauthnCredential', {
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    // 凭据 ID（base64url）
+    credential_id: {
+      type: DataTypes.STRING(512),
+      unique: true,
+      allowNull: false
+    },
+    // COSE 格式公钥
+    public_key: {
+      type: DataTypes.BLOB,
+      allowNull: false
+    },
+    // 签名计数器，用于检测克隆的认证器
+    counter: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false,
+      defaultValue: 0
+    },
+    transports: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    device_type: {
+      type: DataTypes.STRING(32),
+      allowNull: true
+    },
+    backed_up: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    last_used_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'webauthn_credentials',
+    underscored: true,
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+  return WebauthnCredential;
+};
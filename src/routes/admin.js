@@ -0,0 +1,442 @@
+const express = require('express');
+const { Op, where: whereClause, col, literal } = require('sequelize');
+const config = require('../config');
+const store = require('../storage');
+const authMiddleware = require('../middleware/auth');
+const { requirePermission, requireSession } = require('../middleware/authorize');
+const { sendResetCode } = require('../mail/mailer');
+const { invalidateUserTokens } = require('../services/tokens');
+const { listSessions } = require('../services/sessions');
+const { canGrantRole } = require('../services/roles');
+const { clearCodeFailures } = require('../services/lockout');
+const { serializeEvent, recordEvent } = require('../services/audit');
+const {
+  invitationExpiry,
+  findPendingDuplicate,
+  createInvitation,
+  renewInvitation,
+  sendInvitationEmail,
+  serializeInvitation
+} = require('../services/invitations');
+const { genCode, isValidEmail, emailLocale, errorResponse } = require('./helpers');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// 管理接口返回的用户信息（不包含密码哈希、TOTP 密钥等敏感字段）
+function serializeUser(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    verified: user.verified,
+    disabled: Boolean(user.disabled_at),
+    disabledAt: user.disabled_at,
+    displayName: user.display_name,
+    twoFactorEnabled: user.totp_enabled,
+    roles: (user.Roles || []).map((r) => r.name),
+    deletionScheduledAt: user.deletion_scheduled_at,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at
+  };
+}
+
+module.exports = (models) => {
+  const router = express.Router();
+  const { User, Role, AuditEvent } = models;
+
+  const includeRoles = { model: Role, attributes: ['name'], through: { attributes: [] } };
+
+  // 子串匹配：转义 LIKE 通配符并显式指定 ESCAPE 字符
+  // （SQLite 没有默认转义字符，MySQL 字符串中的反斜杠本身也需要转义，因此不用反斜杠）
+  function containsCondition(column, text) {
+    const pattern = `%${text.replace(/[!%_]/g, '!$&')}%`;
+    return whereClause(col(column), Op.like, literal(`${User.sequelize.escape(pattern)} ESCAPE '!'`));
+  }
+
+  async function findUser(id) {
+    return User.findByPk(id, { include: [includeRoles] });
+  }
+
+  router.use(authMiddleware);
+
+  // List and search users (paginated)
+  router.get('/users', requirePermission('users:read'), async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const { q, status } = req.query;
+
+      const where = {};
+      if (q) {
+        const text = String(q).trim();
+        where[Op.or] = [
+          containsCondition('email', text),
+          containsCondition('display_name', text)
+        ];
+      }
+      if (status === 'disabled') {
+        where.disabled_at = { [Op.ne]: null };
+      } else if (status === 'active') {
+        where.disabled_at = null;
+        where.verified = true;
+      } else if (status === 'unverified') {
+        where.verified = false;
+      } else if (status) {
+        return errorResponse(res, 400, 'status must be active, disabled or unverified');
+      }
+
+      const { rows, count } = await User.findAndCountAll({
+        where,
+        include: [includeRoles],
+        distinct: true,
+        order: [['id', 'DESC']],
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+      });
+
+      return res.json({
+        users: rows.map(serializeUser),
+        page,
+        pageSize,
+        total: count
+      });
+    } catch (err) {
+      console.error('Admin list users error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Query the security audit log (paginated, newest first)
+  router.get('/audit-events', requirePermission('audit:read'), async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const pageSize = Math.min(Math.max(parseInt(req.query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const { userId, email, event, outcome, ip, from, to } = req.query;
+
+      const where = {};
+      if (userId) {
+        where.user_id = String(userId);
+      }
+      if (email) {
+        where.email = String(email).trim().toLowerCase();
+      }
+      if (event) {
+        where.event = String(event);
+      }
+      if (outcome) {
+        if (outcome !== 'success' && outcome !== 'failure') {
+          return errorResponse(res, 400, 'outcome must be success or failure');
+        }
+        where.outcome = outcome;
+      }
+      if (ip) {
+        where.ip = String(ip);
+      }
+      if (from || to) {
+        const fromDate = from ? new Date(String(from)) : null;
+        const toDate = to ? new Date(String(to)) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+          return errorResponse(res, 400, 'from and to must be valid dates');
+        }
+        where.created_at = {};
+        if (fromDate) where.created_at[Op.gte] = fromDate;
+        if (toDate) where.created_at[Op.lte] = toDate;
+      }
+
+      const { rows, count } = await AuditEvent.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+      });
+
+      return res.json({
+        events: rows.map(serializeEvent),
+        page,
+        pageSize,
+        total: count
+      });
+    } catch (err) {
+      console.error('Admin list audit events error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // View a user
+  router.get('/users/:id', requirePermission('users:read'), async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      const sessions = await listSessions(user.id);
+      return res.json({ ...serializeUser(user), activeSessions: sessions.length });
+    } catch (err) {
+      console.error('Admin get user error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Disable an account: rejected at login and all issued tokens revoked
+  router.post('/users/:id/disable', requirePermission('users:write'), async (req, res) => {
+    try {
+      if (String(req.params.id) === String(req.user.sub)) {
+        return errorResponse(res, 400, 'cannot disable your own account');
+      }
+
+      const user = await findUser(req.params.id);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      if (!user.disabled_at) {
+        const transaction = await models.User.sequelize.transaction();
+        try {
+          user.disabled_at = new Date();
+          await user.save({ transaction });
+          await invalidateUserTokens(user, { transaction });
+          await transaction.commit();
+        } catch (err) {
+          await transaction.rollback();
+          throw err;
+        }
+      }
+      return res.json(serializeUser(user));
+    } catch (err) {
+      console.error('Admin disable user error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Re-enable a disabled account
+  router.post('/users/:id/enable', requirePermission('users:write'), async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      user.disabled_at = null;
+      await user.save();
+      return res.json(serializeUser(user));
+    } catch (err) {
+      console.error('Admin enable user error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Mark the account's email as verified without a code
+  router.post('/users/:id/verify', requirePermission('users:write'), async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      if (!user.verified) {
+        user.verified = true;
+        await user.save();
+        try {
+          await store.del(`verif_${user.email}`);
+          await clearCodeFailures('verif', user.email);
+        } catch (redisErr) {
+          console.error('Redis error deleting verification code:', redisErr.message);
+        }
+      }
+      return res.json(serializeUser(user));
+    } catch (err) {
+      console.error('Admin verify user error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Send the user a password reset code (same flow as /password/forgot)
+  router.post('/users/:id/password-reset', requirePermission('users:write'), async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      const code = genCode(6);
+      try {
+        await store.setEx(`reset_${user.email}`, config.resetTtl, code);
+        await clearCodeFailures('reset', user.email);
+      } catch (redisErr) {
+        console.error('Redis error in admin password reset:', redisErr.message);
+        return errorResponse(res, 500, 'Failed to store reset code');
+      }
+
+      try {
+        // 按用户的语言偏好发送，不使用管理员请求的 Accept-Language
+        await sendResetCode(user.email, code, emailLocale(null, user));
+      } catch (err) {
+        console.error('Mail: Failed to queue reset code:', err.message);
+        return errorResponse(res, 500, 'failed to queue reset email');
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Admin password reset error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Revoke all of the user's tokens and sessions
+  router.post('/users/:id/revoke-tokens', requirePermission('users:write'), async (req, res) => {
+    try {
+      const user = await findUser(req.params.id);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      await invalidateUserTokens(user);
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Admin revoke tokens error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // 管理员邀请（不属于任何组织）中未接受的一条
+  async function findAdminInvitation(id) {
+    return models.Invitation.findOne({ where: { id, organization_id: null, accepted_at: null } });
+  }
+
+  // Invite a teammate by email; the optional role is granted when the invitation is accepted
+  // 邀请可以授予角色，只允许登录会话，且角色的权限不能超出邀请者自己的权限
+  router.post('/invitations', requireSession, requirePermission('users:write'), async (req, res) => {
+    try {
+      const { email, role, expiresInDays } = req.body;
+      const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+      if (!isValidEmail(normalizedEmail)) {
+        return errorResponse(res, 400, 'invalid email format');
+      }
+      if (role !== undefined && role !== null) {
+        if (typeof role !== 'string' || !(await Role.findOne({ where: { name: role } }))) {
+          return errorResponse(res, 400, 'unknown role');
+        }
+        if (!(await canGrantRole(req.user.sub, role))) {
+          return errorResponse(res, 403, 'cannot grant a role with permissions you do not have');
+        }
+      }
+      const expiry = invitationExpiry(expiresInDays);
+      if (expiry.error) {
+        return errorResponse(res, 400, expiry.error);
+      }
+
+      const existing = await User.findOne({ where: { email: normalizedEmail } });
+      // 已注册的账户只有在需要授予角色时才有邀请的必要
+      if (existing && existing.verified && !role) {
+        return errorResponse(res, 409, 'email already registered');
+      }
+      if (await findPendingDuplicate(normalizedEmail, null)) {
+        return errorResponse(res, 409, 'invitation already pending');
+      }
+
+      const { token, invitation } = await createInvitation({
+        email: normalizedEmail,
+        role,
+        invitedBy: req.user.sub,
+        expiresAt: expiry.expiresAt
+      });
+      try {
+        const inviter = await User.findByPk(req.user.sub);
+        await sendInvitationEmail(invitation, token, { inviter, locale: emailLocale(req, existing) });
+      } catch (err) {
+        console.error('Mail: Failed to queue invitation:', err.message);
+        await invitation.destroy();
+        return errorResponse(res, 500, 'failed to queue invitation email');
+      }
+
+      await recordEvent(req, {
+        event: 'invitation.create',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { invitationId: invitation.id, invitee: normalizedEmail, role: invitation.role }
+      });
+      return res.status(201).json(serializeInvitation(invitation));
+    } catch (err) {
+      console.error('Admin create invitation error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // List invitations that have not been accepted (pending or expired)
+  router.get('/invitations', requireSession, requirePermission('users:read'), async (req, res) => {
+    try {
+      const invitations = await models.Invitation.findAll({
+        where: { organization_id: null, accepted_at: null },
+        order: [['created_at', 'DESC']]
+      });
+      return res.json({ invitations: invitations.map(serializeInvitation) });
+    } catch (err) {
+      console.error('Admin list invitations error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Resend an invitation with a new link (the previous link stops working)
+  router.post('/invitations/:id/resend', requireSession, requirePermission('users:write'), async (req, res) => {
+    try {
+      const invitation = await findAdminInvitation(req.params.id);
+      if (!invitation) {
+        return errorResponse(res, 404, 'invitation not found');
+      }
+      const expiry = invitationExpiry(req.body.expiresInDays);
+      if (expiry.error) {
+        return errorResponse(res, 400, expiry.error);
+      }
+
+      const token = await renewInvitation(invitation, expiry.expiresAt);
+      try {
+        const [inviter, existing] = await Promise.all([
+          User.findByPk(req.user.sub),
+          User.findOne({ where: { email: invitation.email } })
+        ]);
+        await sendInvitationEmail(invitation, token, { inviter, locale: emailLocale(req, existing) });
+      } catch (err) {
+        console.error('Mail: Failed to queue invitation:', err.message);
+        return errorResponse(res, 500, 'failed to queue invitation email');
+      }
+
+      await recordEvent(req, {
+        event: 'invitation.resend',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { invitationId: invitation.id, invitee: invitation.email }
+      });
+      return res.json(serializeInvitation(invitation));
+    } catch (err) {
+      console.error('Admin resend invitation error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Revoke an invitation that has not been accepted
+  router.delete('/invitations/:id', requireSession, requirePermission('users:write'), async (req, res) => {
+    try {
+      const invitation = await findAdminInvitation(req.params.id);
+      if (!invitation) {
+        return errorResponse(res, 404, 'invitation not found');
+      }
+
+      await invitation.destroy();
+      await recordEvent(req, {
+        event: 'invitation.revoke',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { invitationId: invitation.id, invitee: invitation.email }
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Admin revoke invitation error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
@@ -1,57 +1,109 @@
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcrypt');
-const { v4: uuidv4 } = require('uuid');
-const jwt = require('jsonwebtoken');
 const { Sequelize } = require('sequelize');
 const config = require('../config');
-const redisClient = require('../redis');
-const { sendVerificationCode, sendResetCode } = require('../mail/mailer');
+const store = require('../storage');
+const { sendVerificationCode, sendResetCode, sendUnlockEmail } = require('../mail/mailer');
+const { rateLimit, tooManyRequests } = require('../middleware/rateLimit');
+const { verifyJwt } = require('../services/keys');
+const {
+  signAccessToken,
+  issueTokens,
+  startSession,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  invalidateUserTokens
+} = require('../services/tokens');
+const {
+  sessionMeta,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const {
+  createLoginChallenge,
+  getLoginChallenge,
+  failLoginChallenge,
+  completeLoginChallenge,
+  verifySecondFactor
+} = require('../services/twoFactor');
+const {
+  codeLockRemaining,
+  recordCodeFailure,
+  clearCodeFailures,
+  reserveCodeSend,
+  loginLockRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+  createUnlockToken,
+  unlockWithToken
+} = require('../services/lockout');
+const { recordEvent } = require('../services/audit');
+const { selectOrganization, requestedOrganizationSlug, requestSender } = require('../services/organizations');
+const { hashPassword, verifyPassword, needsRehash } = require('../services/passwordHash');
+const {
+  checkPassword,
+  checkPasswordHistory,
+  validatePassword,
+  recordPasswordHistory,
+  describePolicy
+} = require('../services/passwordPolicy');
+const { genCode, isValidEmail, emailLocale, errorResponse } = require('./helpers');
 
 module.exports = (models) => {
   const User = models.User;
 
-  // 生成指定长度的验证码（确保总是6位）
-  function genCode(len = 6) {
-    const min = Math.pow(10, len - 1);
-    const max = Math.pow(10, len) - 1;
-    return Math.floor(min + Math.random() * (max - min + 1)).toString();
+  // 生成并保存注册验证码，同时清除旧验证码的错误计数
+  async function storeVerificationCode(email) {
+    const code = genCode(6);
+    await store.setEx(`verif_${email}`, config.verifTtl, code);
+    await clearCodeFailures('verif', email);
+    return code;
   }
 
-  // 验证邮箱格式（更严格的验证）
-  function isValidEmail(email) {
-    if (!email || typeof email !== 'string') {
-      return false;
+  // 验证码错误：记录错误次数，达到上限后作废验证码并锁定
+  async function codeFailureResponse(res, kind, email, codeTtl) {
+    const lockSeconds = await recordCodeFailure(kind, email, codeTtl);
+    if (lockSeconds) {
+      return tooManyRequests(res, lockSeconds, 'too many attempts, request a new code');
     }
-    // 基本格式验证
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return false;
-    }
-    // 长度限制（RFC 5321）
-    if (email.length > 254) {
-      return false;
-    }
-    // 本地部分长度限制（@ 之前的部分）
-    const localPart = email.split('@')[0];
-    if (localPart.length > 64) {
-      return false;
-    }
-    return true;
+    return errorResponse(res, 400, 'invalid code');
   }
 
-  // 验证密码强度（至少6位）
-  function isValidPassword(password) {
-    return password && password.length >= 6;
+  // 登录失败：记录失败次数和审计事件，触发锁定时向账户邮箱发送解锁链接
+  // 不存在的邮箱同样计数和锁定，避免通过锁定行为枚举用户
+  async function loginFailureResponse(req, res, email, user, reason) {
+    const { locked, lockSeconds } = await recordLoginFailure(email);
+    await recordEvent(req, {
+      event: 'login',
+      outcome: 'failure',
+      userId: user ? user.id : null,
+      email,
+      details: { method: 'password', reason, locked }
+    });
+    if (!locked) {
+      return errorResponse(res, 400, 'invalid credentials');
+    }
+
+    if (user) {
+      try {
+        const token = await createUnlockToken(email, lockSeconds);
+        const unlockUrl = `${config.appUrl}/account/unlock?token=${encodeURIComponent(token)}`;
+        await sendUnlockEmail(email, unlockUrl, lockSeconds, emailLocale(req, user), await requestSender(req, user));
+      } catch (err) {
+        console.error('Mail: Failed to queue unlock email:', err.message);
+      }
+    }
+    return tooManyRequests(res, lockSeconds, 'account temporarily locked');
   }
 
-  // 统一错误响应
-  function errorResponse(res, statusCode, message) {
-    return res.status(statusCode).json({ error: message });
+  // 密码不符合策略：返回所有未通过的规则，便于前端逐条提示
+  function passwordPolicyResponse(res, violations) {
+    return errorResponse(res, 400, 'password does not meet requirements', { violations });
   }
 
   // Request registration: create user (unverified) and send code
-  router.post('/register/request', async (req, res) => {
+  router.post('/register/request', rateLimit('register'), async (req, res) => {
     try {
       const { email, password } = req.body;
       
@@ -67,8 +119,9 @@ module.exports = (models) => {
         return errorResponse(res, 400, 'invalid email format');
       }
       
-      if (!isValidPassword(password)) {
-        return errorResponse(res, 400, 'password must be at least 6 characters');
+      const violations = await checkPassword(password, { email: normalizedEmail });
+      if (violations.length > 0) {
+        return passwordPolicyResponse(res, violations);
       }
 
       // 使用事务确保数据一致性，防止并发问题
@@ -80,24 +133,36 @@ module.exports = (models) => {
           where: { email: normalizedEmail },
           transaction 
         });
-        if (existing) {
+        if (existing && existing.verified) {
           await transaction.rollback();
           return errorResponse(res, 400, 'email already registered');
         }
 
-        const password_hash = await bcrypt.hash(password, 12);
-        const user = await User.create(
-          { email: normalizedEmail, password_hash, verified: false },
-          { transaction }
-        );
+        // 验证码发送冷却和每日上限（与 /register/resend 共用）
+        const waitSeconds = await reserveCodeSend('verif', normalizedEmail);
+        if (waitSeconds) {
+          await transaction.rollback();
+          return tooManyRequests(res, waitSeconds, 'please wait before requesting another code');
+        }
 
-        // 生成验证码
-        const code = genCode(6);
-        const key = `verif_${normalizedEmail}`;
-        
+        const password_hash = await hashPassword(password);
+        let user = existing;
+        if (existing) {
+          // 未验证的账户：更新密码并重新发送验证码（例如上次邮件发送失败或验证码已过期）
+          existing.password_hash = password_hash;
+          await existing.save({ transaction });
+        } else {
+          user = await User.create(
+            { email: normalizedEmail, password_hash, verified: false },
+            { transaction }
+          );
+        }
+
+        // 生成验证码（会覆盖之前未使用的验证码）
         // Redis 操作（如果失败，回滚事务）
+        let code;
         try {
-          await redisClient.setEx(key, config.verifTtl, code);
+          code = await storeVerificationCode(normalizedEmail);
         } catch (redisErr) {
           await transaction.rollback();
           console.error('Redis error in register request:', redisErr.message);
@@ -106,12 +171,13 @@ module.exports = (models) => {
         
         // 提交事务（用户已创建，验证码已存储）
         await transaction.commit();
+        await recordEvent(req, { event: 'register', outcome: 'success', userId: user.id, email: normalizedEmail });
         
         // 发送邮件（失败不影响用户创建和验证码存储）
         try {
-          await sendVerificationCode(normalizedEmail, code);
+          await sendVerificationCode(normalizedEmail, code, emailLocale(req, user), await requestSender(req, user));
         } catch (err) {
-          console.error('SMTP: Failed to send verification code:', err.message);
+          console.error('Mail: Failed to queue verification code:', err.message);
           // 邮件发送失败，但用户已创建，可以稍后重试验证
         }
 
@@ -130,8 +196,56 @@ module.exports = (models) => {
     }
   });
 
+  // Resend registration verification code
+  router.post('/register/resend', rateLimit('register'), async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return errorResponse(res, 400, 'email required');
+      }
+
+      const normalizedEmail = email.trim().toLowerCase();
+
+      if (!isValidEmail(normalizedEmail)) {
+        return errorResponse(res, 400, 'invalid email format');
+      }
+
+      // 冷却和每日上限对所有邮箱生效，避免通过响应差异枚举用户
+      const waitSeconds = await reserveCodeSend('verif', normalizedEmail);
+      if (waitSeconds) {
+        return tooManyRequests(res, waitSeconds, 'please wait before requesting another code');
+      }
+
+      const user = await User.findOne({ where: { email: normalizedEmail } });
+
+      // 只对未验证的账户重新发送验证码
+      if (user && !user.verified) {
+        let code;
+        try {
+          code = await storeVerificationCode(normalizedEmail);
+        } catch (redisErr) {
+          console.error('Redis error in register resend:', redisErr.message);
+          return errorResponse(res, 500, 'Failed to store verification code');
+        }
+
+        try {
+          await sendVerificationCode(normalizedEmail, code, emailLocale(req, user), await requestSender(req, user));
+        } catch (err) {
+          console.error('Mail: Failed to queue verification code:', err.message);
+        }
+      }
+
+      // 统一返回成功消息，防止邮箱枚举
+      return res.json({ ok: true, message: 'verification code sent if registration is pending' });
+    } catch (err) {
+      console.error('Register resend error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
   // Verify registration code
-  router.post('/register/verify', async (req, res) => {
+  router.post('/register/verify', rateLimit('verifyCode'), async (req, res) => {
     try {
       const { email, code } = req.body;
       
@@ -155,7 +269,12 @@ module.exports = (models) => {
       let saved;
       
       try {
-        saved = await redisClient.get(key);
+        // 错误次数过多，验证码已被锁定
+        const lockRemaining = await codeLockRemaining('verif', normalizedEmail);
+        if (lockRemaining) {
+          return tooManyRequests(res, lockRemaining, 'too many attempts, request a new code');
+        }
+        saved = await store.get(key);
       } catch (redisErr) {
         console.error('Redis error in register verify:', redisErr.message);
         return errorResponse(res, 500, 'Failed to verify code');
@@ -166,7 +285,13 @@ module.exports = (models) => {
       }
       
       if (saved !== code.trim()) {
-        return errorResponse(res, 400, 'invalid code');
+        await recordEvent(req, {
+          event: 'register.verify',
+          outcome: 'failure',
+          email: normalizedEmail,
+          details: { reason: 'invalid_code' }
+        });
+        return codeFailureResponse(res, 'verif', normalizedEmail, config.verifTtl);
       }
 
       const user = await User.findOne({ where: { email: normalizedEmail } });
@@ -178,7 +303,7 @@ module.exports = (models) => {
       if (user.verified) {
         // 删除验证码（如果还存在）
         try {
-          await redisClient.del(key);
+          await store.del(key);
         } catch (redisErr) {
           // 忽略删除错误
         }
@@ -193,13 +318,15 @@ module.exports = (models) => {
         
         // 删除验证码（使用后立即删除，防止重用）
         try {
-          await redisClient.del(key);
+          await store.del(key);
+          await clearCodeFailures('verif', normalizedEmail);
         } catch (redisErr) {
           console.error('Redis error deleting verification code:', redisErr.message);
           // 即使删除失败，也继续（验证码已过期）
         }
         
         await transaction.commit();
+        await recordEvent(req, { event: 'register.verify', outcome: 'success', userId: user.id, email: normalizedEmail });
         return res.json({ ok: true });
       } catch (err) {
         await transaction.rollback();
@@ -212,7 +339,7 @@ module.exports = (models) => {
   });
 
   // Login
-  router.post('/login', async (req, res) => {
+  router.post('/login', rateLimit('login'), async (req, res) => {
     try {
       const { email, password } = req.body;
       
@@ -227,33 +354,200 @@ module.exports = (models) => {
         return errorResponse(res, 400, 'invalid email format');
       }
 
+      // 连续失败次数过多，账户暂时锁定（即使密码正确）
+      const lockRemaining = await loginLockRemaining(normalizedEmail);
+      if (lockRemaining) {
+        await recordEvent(req, {
+          event: 'login',
+          outcome: 'failure',
+          email: normalizedEmail,
+          details: { method: 'password', reason: 'locked' }
+        });
+        return tooManyRequests(res, lockRemaining, 'account temporarily locked');
+      }
+
       const user = await User.findOne({ where: { email: normalizedEmail } });
       
       // 统一错误信息，防止用户枚举
       if (!user) {
-        return errorResponse(res, 400, 'invalid credentials');
+        return loginFailureResponse(req, res, normalizedEmail, null, 'unknown_user');
       }
       
       if (!user.verified) {
+        await recordEvent(req, {
+          event: 'login',
+          outcome: 'failure',
+          userId: user.id,
+          email: normalizedEmail,
+          details: { method: 'password', reason: 'unverified' }
+        });
         return errorResponse(res, 403, 'email not verified');
       }
 
-      const matched = await bcrypt.compare(password, user.password_hash);
+      const matched = await verifyPassword(password, user.password_hash);
       if (!matched) {
-        return errorResponse(res, 400, 'invalid credentials');
+        return loginFailureResponse(req, res, normalizedEmail, user, 'bad_password');
+      }
+
+      // 旧算法或旧参数的哈希：用当前配置重新哈希，逐步迁移，失败不影响登录
+      if (needsRehash(user.password_hash)) {
+        try {
+          user.password_hash = await hashPassword(password);
+          await user.save({ fields: ['password_hash'] });
+        } catch (err) {
+          console.error('Password hash: Failed to rehash on login:', err.message);
+        }
+      }
+
+      await clearLoginFailures(normalizedEmail);
+
+      // 账户已被管理员停用（密码校验通过后才提示，避免泄露账户状态）
+      if (user.disabled_at) {
+        await recordEvent(req, {
+          event: 'login',
+          outcome: 'failure',
+          userId: user.id,
+          email: normalizedEmail,
+          details: { method: 'password', reason: 'disabled' }
+        });
+        return errorResponse(res, 403, 'account disabled');
       }
 
-      const jti = uuidv4();
-      const payload = { sub: user.id, email: user.email, jti };
-      const token = jwt.sign(payload, config.jwtSecret, { expiresIn: config.jwtExpiresIn });
+      // 会话的当前组织（X-Organization 请求头），组织可能不允许密码登录
+      const selected = await selectOrganization(user, 'password', requestedOrganizationSlug(req));
+      if (selected.error) {
+        return errorResponse(res, selected.status, selected.error);
+      }
 
-      return res.json({ token });
+      // 已开启两步验证：返回登录挑战，由 /login/2fa 完成登录
+      if (user.totp_enabled) {
+        const challengeToken = await createLoginChallenge(user.id, {
+          method: 'password',
+          organizationId: selected.organizationId
+        });
+        return res.json({ mfaRequired: true, challengeToken });
+      }
+
+      const tokens = await startSession(user, {
+        ...sessionMeta(req),
+        method: 'password',
+        organizationId: selected.organizationId
+      });
+      await recordEvent(req, {
+        event: 'login',
+        outcome: 'success',
+        userId: user.id,
+        email: normalizedEmail,
+        details: { method: 'password' }
+      });
+      return res.json(tokens);
     } catch (err) {
       console.error('Login error:', err);
       return errorResponse(res, 500, 'internal server error');
     }
   });
 
+  // Login step 2 — verify TOTP code or recovery code
+  router.post('/login/2fa', rateLimit('mfa'), async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body;
+
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return errorResponse(res, 400, 'challengeToken and code or recoveryCode required');
+      }
+
+      const challenge = await getLoginChallenge(challengeToken);
+      if (!challenge) {
+        return errorResponse(res, 401, 'challenge expired or not found');
+      }
+
+      const user = await User.findByPk(challenge.userId);
+      if (!user || !user.totp_enabled) {
+        return errorResponse(res, 401, 'challenge expired or not found');
+      }
+
+      const method = recoveryCode ? 'recovery_code' : 'totp';
+      const passed = await verifySecondFactor(user, { code, recoveryCode });
+      if (!passed) {
+        await recordEvent(req, {
+          event: 'login.2fa',
+          outcome: 'failure',
+          userId: user.id,
+          email: user.email,
+          details: { method, reason: 'invalid_code' }
+        });
+        const stillValid = await failLoginChallenge(challengeToken);
+        if (!stillValid) {
+          return errorResponse(res, 401, 'too many attempts, please login again');
+        }
+        return errorResponse(res, 400, 'invalid code');
+      }
+
+      await completeLoginChallenge(challengeToken);
+      if (user.disabled_at) {
+        await recordEvent(req, {
+          event: 'login.2fa',
+          outcome: 'failure',
+          userId: user.id,
+          email: user.email,
+          details: { method, reason: 'disabled' }
+        });
+        return errorResponse(res, 403, 'account disabled');
+      }
+      // 登录方式和组织在第一步已经确定
+      const tokens = await startSession(user, {
+        ...sessionMeta(req),
+        method: challenge.method,
+        organizationId: challenge.organizationId
+      });
+      await recordEvent(req, { event: 'login.2fa', outcome: 'success', userId: user.id, email: user.email, details: { method } });
+      return res.json(tokens);
+    } catch (err) {
+      console.error('Login 2FA error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Refresh — rotate refresh token and issue a new access token
+  router.post('/token/refresh', async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+
+      if (!refreshToken || typeof refreshToken !== 'string') {
+        return errorResponse(res, 400, 'refreshToken required');
+      }
+
+      let result;
+      try {
+        result = await consumeRefreshToken(refreshToken);
+      } catch (redisErr) {
+        console.error('Redis error in token refresh:', redisErr.message);
+        return errorResponse(res, 500, 'Failed to refresh token');
+      }
+
+      if (result.status === 'reused') {
+        // 已使用过的 refresh token 再次出现，整个 family 已被撤销
+        console.error(`Refresh token reuse detected for user ${result.userId}, family ${result.familyId} revoked`);
+        return errorResponse(res, 401, 'refresh token reused');
+      }
+
+      if (result.status !== 'ok') {
+        return errorResponse(res, 401, 'invalid or expired refresh token');
+      }
+
+      const user = await User.findByPk(result.userId);
+      if (!user || !user.verified || user.disabled_at) {
+        return errorResponse(res, 401, 'invalid or expired refresh token');
+      }
+
+      const tokens = await issueTokens(user, result.familyId);
+      return res.json(tokens);
+    } catch (err) {
+      console.error('Token refresh error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
   // Logout — blacklist token
   router.post('/logout', async (req, res) => {
     try {
@@ -269,7 +563,7 @@ module.exports = (models) => {
       
       let payload;
       try {
-        payload = jwt.verify(token, config.jwtSecret, { ignoreExpiration: true });
+        payload = await verifyJwt(token, { ignoreExpiration: true });
       } catch (err) {
         if (err.name === 'JsonWebTokenError' || err.name === 'TokenExpiredError') {
           return errorResponse(res, 401, 'invalid or expired token');
@@ -294,13 +588,25 @@ module.exports = (models) => {
       
       const key = `black_${jti}`;
       try {
-        await redisClient.setEx(key, ttl, '1');
+        await store.setEx(key, ttl, '1');
+
+        // 结束当前会话，会话下的 refresh token 随之失效
+        if (payload.sid) {
+          await revokeSession(payload.sub, payload.sid);
+        }
+
+        // 同时撤销 refresh token（如果提供）
+        const { refreshToken } = req.body || {};
+        if (refreshToken && typeof refreshToken === 'string') {
+          await revokeRefreshToken(refreshToken, payload.sub);
+        }
       } catch (redisErr) {
         console.error('Redis error in logout:', redisErr.message);
         // Redis 失败不应该阻止登出，但应该记录
         // 返回成功，因为 token 在客户端已被清除
       }
-      
+
+      await recordEvent(req, { event: 'logout', outcome: 'success', userId: payload.sub, email: payload.email });
       return res.json({ ok: true });
     } catch (err) {
       console.error('Logout error:', err);
@@ -309,7 +615,7 @@ module.exports = (models) => {
   });
 
   // Forgot password — send reset code
-  router.post('/password/forgot', async (req, res) => {
+  router.post('/password/forgot', rateLimit('forgot'), async (req, res) => {
     try {
       const { email } = req.body;
       
@@ -333,19 +639,29 @@ module.exports = (models) => {
         const key = `reset_${normalizedEmail}`;
         
         try {
-          await redisClient.setEx(key, config.resetTtl, code);
+          await store.setEx(key, config.resetTtl, code);
+          await clearCodeFailures('reset', normalizedEmail);
         } catch (redisErr) {
           console.error('Redis error in forgot password:', redisErr.message);
           // Redis 失败不影响响应（安全考虑）
         }
         
         try {
-          await sendResetCode(normalizedEmail, code);
+          await sendResetCode(normalizedEmail, code, emailLocale(req, user), await requestSender(req, user));
         } catch (err) {
-          console.error('SMTP: Failed to send reset code:', err.message);
+          console.error('Mail: Failed to queue reset code:', err.message);
           // 邮件发送失败，但返回成功（安全考虑）
         }
       }
+
+      // 审计中记录邮箱是否存在，接口响应保持一致
+      await recordEvent(req, {
+        event: 'password.forgot',
+        outcome: user ? 'success' : 'failure',
+        userId: user ? user.id : null,
+        email: normalizedEmail,
+        details: user ? null : { reason: 'unknown_user' }
+      });
       
       // 统一返回成功消息，防止邮箱枚举
       return res.json({ ok: true, message: 'reset code sent if email exists' });
@@ -355,8 +671,13 @@ module.exports = (models) => {
     }
   });
 
+  // Describe the password policy so clients can validate before submitting
+  router.get('/password/policy', (req, res) => {
+    return res.json(describePolicy());
+  });
+
   // Reset password using code
-  router.post('/password/reset', async (req, res) => {
+  router.post('/password/reset', rateLimit('verifyCode'), async (req, res) => {
     try {
       const { email, code, newPassword } = req.body;
       
@@ -371,8 +692,10 @@ module.exports = (models) => {
         return errorResponse(res, 400, 'invalid email format');
       }
       
-      if (!isValidPassword(newPassword)) {
-        return errorResponse(res, 400, 'password must be at least 6 characters');
+      // 先检查不依赖用户的规则，避免为不合格的密码消耗验证码尝试次数
+      const violations = await checkPassword(newPassword, { email: normalizedEmail });
+      if (violations.length > 0) {
+        return passwordPolicyResponse(res, violations);
       }
       
       // 验证码应该是6位数字
@@ -385,7 +708,12 @@ module.exports = (models) => {
       let saved;
       
       try {
-        saved = await redisClient.get(key);
+        // 错误次数过多，验证码已被锁定
+        const lockRemaining = await codeLockRemaining('reset', normalizedEmail);
+        if (lockRemaining) {
+          return tooManyRequests(res, lockRemaining, 'too many attempts, request a new code');
+        }
+        saved = await store.get(key);
       } catch (redisErr) {
         console.error('Redis error in reset password:', redisErr.message);
         return errorResponse(res, 500, 'Failed to verify reset code');
@@ -396,7 +724,13 @@ module.exports = (models) => {
       }
       
       if (saved !== trimmedCode) {
-        return errorResponse(res, 400, 'invalid code');
+        await recordEvent(req, {
+          event: 'password.reset',
+          outcome: 'failure',
+          email: normalizedEmail,
+          details: { reason: 'invalid_code' }
+        });
+        return codeFailureResponse(res, 'reset', normalizedEmail, config.resetTtl);
       }
 
       const user = await User.findOne({ where: { email: normalizedEmail } });
@@ -404,21 +738,33 @@ module.exports = (models) => {
         return errorResponse(res, 404, 'user not found');
       }
 
+      // 不能重复使用最近的密码（验证码保留，用户可以换一个密码重试）
+      const reused = await checkPasswordHistory(user, newPassword);
+      if (reused.length > 0) {
+        return passwordPolicyResponse(res, reused);
+      }
+
       // 使用事务确保原子性
       const transaction = await models.User.sequelize.transaction();
       try {
-        user.password_hash = await bcrypt.hash(newPassword, 12);
+        await recordPasswordHistory(user, { transaction });
+        user.password_hash = await hashPassword(newPassword);
         await user.save({ transaction });
+
+        // 使重置前签发的所有令牌失效
+        await invalidateUserTokens(user, { transaction });
         
         // 删除验证码（使用后立即删除，防止重用）
         try {
-          await redisClient.del(key);
+          await store.del(key);
+          await clearCodeFailures('reset', normalizedEmail);
         } catch (redisErr) {
           console.error('Redis error deleting reset code:', redisErr.message);
           // 即使删除失败，也继续（验证码已过期）
         }
         
         await transaction.commit();
+        await recordEvent(req, { event: 'password.reset', outcome: 'success', userId: user.id, email: normalizedEmail });
         return res.json({ ok: true });
       } catch (err) {
         await transaction.rollback();
@@ -430,20 +776,36 @@ module.exports = (models) => {
     }
   });
 
+  // Unlock an account locked after too many failed logins (link from email)
+  router.post('/account/unlock', rateLimit('unlock'), async (req, res) => {
+    try {
+      const { token } = req.body;
+      if (!token || typeof token !== 'string') {
+        return errorResponse(res, 400, 'token required');
+      }
+
+      const email = await unlockWithToken(token);
+      if (!email) {
+        return errorResponse(res, 400, 'invalid or expired unlock token');
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Account unlock error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
   // Change password (authenticated)
   const authMiddleware = require('../middleware/auth');
-  router.put('/password', authMiddleware, async (req, res) => {
+  const { requireSession } = require('../middleware/authorize');
+  router.put('/password', authMiddleware, requireSession, async (req, res) => {
     try {
-      const { oldPassword, newPassword } = req.body;
+      const { oldPassword, newPassword, keepCurrentSession } = req.body;
       
       if (!oldPassword || !newPassword) {
         return errorResponse(res, 400, 'oldPassword and newPassword required');
       }
       
-      if (!isValidPassword(newPassword)) {
-        return errorResponse(res, 400, 'password must be at least 6 characters');
-      }
-      
       // 新旧密码不能相同
       if (oldPassword === newPassword) {
         return errorResponse(res, 400, 'new password must be different from old password');
@@ -455,17 +817,41 @@ module.exports = (models) => {
         return errorResponse(res, 404, 'user not found');
       }
 
-      const matched = await bcrypt.compare(oldPassword, user.password_hash);
+      const matched = await verifyPassword(oldPassword, user.password_hash);
       if (!matched) {
+        await recordEvent(req, {
+          event: 'password.change',
+          outcome: 'failure',
+          userId: user.id,
+          email: user.email,
+          details: { reason: 'bad_password' }
+        });
         return errorResponse(res, 400, 'old password incorrect');
       }
 
+      const violations = await validatePassword(newPassword, { user });
+      if (violations.length > 0) {
+        return passwordPolicyResponse(res, violations);
+      }
+
       // 使用事务确保原子性
       const transaction = await models.User.sequelize.transaction();
       try {
-        user.password_hash = await bcrypt.hash(newPassword, 12);
+        await recordPasswordHistory(user, { transaction });
+        user.password_hash = await hashPassword(newPassword);
         await user.save({ transaction });
+
+        // 使修改前签发的所有令牌失效；keepCurrentSession 为 true 时保留当前会话
+        const exceptSessionId = keepCurrentSession === true ? req.user.sid : undefined;
+        await invalidateUserTokens(user, { transaction, exceptSessionId });
         await transaction.commit();
+        await recordEvent(req, { event: 'password.change', outcome: 'success', userId: user.id, email: user.email });
+
+        if (exceptSessionId) {
+          // 当前会话的 access token 版本已过期，签发新的 access token
+          const token = await signAccessToken(user, exceptSessionId);
+          return res.json({ ok: true, token });
+        }
         return res.json({ ok: true });
       } catch (err) {
         await transaction.rollback();
@@ -477,5 +863,52 @@ module.exports = (models) => {
     }
   });
 
+  // List active sessions (authenticated)
+  router.get('/sessions', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const sessions = await listSessions(req.user.sub);
+      return res.json({
+        sessions: sessions.map((s) => ({
+          id: s.id,
+          userAgent: s.userAgent,
+          ip: s.ip,
+          createdAt: s.createdAt,
+          lastSeenAt: s.lastSeenAt,
+          current: s.id === req.user.sid
+        }))
+      });
+    } catch (err) {
+      console.error('List sessions error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Revoke a single session (authenticated)
+  router.delete('/sessions/:id', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const revoked = await revokeSession(req.user.sub, req.params.id);
+      if (!revoked) {
+        return errorResponse(res, 404, 'session not found');
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Revoke session error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Sign out everywhere — revoke all sessions (authenticated)
+  // ?keepCurrent=true 时保留当前会话
+  router.delete('/sessions', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const keepCurrent = req.query.keepCurrent === 'true' || req.query.keepCurrent === '1';
+      const revoked = await revokeAllSessions(req.user.sub, keepCurrent ? req.user.sid : undefined);
+      return res.json({ ok: true, revoked });
+    } catch (err) {
+      console.error('Revoke all sessions error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
   return router;
 };
@@ -0,0 +1,223 @@
+const express = require('express');
+const config = require('../config');
+const authMiddleware = require('../middleware/auth');
+const { requireSession } = require('../middleware/authorize');
+const { sendEmailChangeCode, sendEmailChangeNotice } = require('../mail/mailer');
+const { requestSender } = require('../services/organizations');
+const { rateLimit, tooManyRequests } = require('../middleware/rateLimit');
+const { signAccessToken, invalidateUserTokens } = require('../services/tokens');
+const {
+  codeLockRemaining,
+  recordCodeFailure,
+  clearCodeFailures,
+  reserveCodeSend
+} = require('../services/lockout');
+const {
+  createEmailChange,
+  getEmailChange,
+  cancelEmailChange,
+  createRevertToken,
+  consumeRevertToken,
+  invalidateEmailCodes
+} = require('../services/emailChange');
+const { genCode, isValidEmail, emailLocale, errorResponse } = require('./helpers');
+
+module.exports = (models) => {
+  const router = express.Router();
+  const User = models.User;
+
+  // 在事务内修改邮箱，保持 users.email 唯一；目标邮箱已被占用时返回 false
+  async function swapEmail(userId, fromEmail, toEmail, afterSwap) {
+    const transaction = await models.User.sequelize.transaction();
+    try {
+      const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!user || user.email !== fromEmail) {
+        await transaction.rollback();
+        return null;
+      }
+
+      const taken = await User.findOne({ where: { email: toEmail }, transaction });
+      if (taken) {
+        await transaction.rollback();
+        return false;
+      }
+
+      user.email = toEmail;
+      await user.save({ transaction });
+      if (afterSwap) {
+        await afterSwap(user, transaction);
+      }
+      await transaction.commit();
+      return user;
+    } catch (err) {
+      await transaction.rollback();
+      // 并发修改为同一邮箱时由唯一索引兜底
+      if (err.name === 'SequelizeUniqueConstraintError') {
+        return false;
+      }
+      throw err;
+    }
+  }
+
+  // Request an email change (authenticated): code to the new address, notice to the old one
+  router.post('/email/change', authMiddleware, requireSession, rateLimit('emailChange'), async (req, res) => {
+    try {
+      const { newEmail } = req.body;
+
+      if (!newEmail) {
+        return errorResponse(res, 400, 'newEmail required');
+      }
+
+      const normalizedEmail = newEmail.trim().toLowerCase();
+
+      if (!isValidEmail(normalizedEmail)) {
+        return errorResponse(res, 400, 'invalid email format');
+      }
+
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      if (normalizedEmail === user.email) {
+        return errorResponse(res, 400, 'new email must be different from current email');
+      }
+
+      const existing = await User.findOne({ where: { email: normalizedEmail } });
+      if (existing) {
+        return errorResponse(res, 400, 'email already registered');
+      }
+
+      const waitSeconds = await reserveCodeSend('email_change', user.id);
+      if (waitSeconds) {
+        return tooManyRequests(res, waitSeconds, 'please wait before requesting another code');
+      }
+
+      const code = genCode(6);
+      await createEmailChange(user.id, normalizedEmail, code);
+      await clearCodeFailures('email_change', user.id);
+      const revertToken = await createRevertToken(user.id, user.email, normalizedEmail);
+      // 使用当前组织的发件人设置
+      const sender = await requestSender(req, user);
+
+      try {
+        await sendEmailChangeCode(normalizedEmail, code, emailLocale(req, user), sender);
+      } catch (err) {
+        console.error('Mail: Failed to queue email change code:', err.message);
+      }
+
+      try {
+        const revertUrl = `${config.appUrl}/email/revert?token=${encodeURIComponent(revertToken)}`;
+        await sendEmailChangeNotice(user.email, normalizedEmail, revertUrl, emailLocale(req, user), sender);
+      } catch (err) {
+        console.error('Mail: Failed to queue email change notice:', err.message);
+      }
+
+      return res.json({ ok: true, message: 'verification code sent to new email' });
+    } catch (err) {
+      console.error('Email change request error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Confirm the email change with the code sent to the new address (authenticated)
+  router.post('/email/change/confirm', authMiddleware, requireSession, rateLimit('verifyCode'), async (req, res) => {
+    try {
+      const { code } = req.body;
+
+      if (!code) {
+        return errorResponse(res, 400, 'code required');
+      }
+
+      const uid = req.user.sub;
+
+      const lockRemaining = await codeLockRemaining('email_change', uid);
+      if (lockRemaining) {
+        return tooManyRequests(res, lockRemaining, 'too many attempts, request a new code');
+      }
+
+      const pending = await getEmailChange(uid);
+      if (!pending) {
+        return errorResponse(res, 400, 'code expired or not found');
+      }
+
+      if (pending.code !== String(code).trim()) {
+        const lockSeconds = await recordCodeFailure('email_change', uid, config.emailChange.codeTtl);
+        if (lockSeconds) {
+          return tooManyRequests(res, lockSeconds, 'too many attempts, request a new code');
+        }
+        return errorResponse(res, 400, 'invalid code');
+      }
+
+      const current = await User.findByPk(uid);
+      if (!current) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      const oldEmail = current.email;
+
+      const user = await swapEmail(uid, oldEmail, pending.newEmail);
+      if (user === false) {
+        return errorResponse(res, 400, 'email already registered');
+      }
+      if (!user) {
+        return errorResponse(res, 409, 'email changed concurrently, please retry');
+      }
+
+      await cancelEmailChange(uid);
+      await clearCodeFailures('email_change', uid);
+      await invalidateEmailCodes(oldEmail);
+
+      // 当前 access token 中的 email 已过期，签发新的 access token
+      const token = await signAccessToken(user, req.user.sid);
+      return res.json({ ok: true, email: user.email, token });
+    } catch (err) {
+      console.error('Email change confirm error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // "This wasn't me" — cancel a pending change or restore the old address (link from the notice)
+  router.post('/email/revert', rateLimit('unlock'), async (req, res) => {
+    try {
+      const { token } = req.body;
+      if (!token || typeof token !== 'string') {
+        return errorResponse(res, 400, 'token required');
+      }
+
+      const revert = await consumeRevertToken(token);
+      if (!revert) {
+        return errorResponse(res, 400, 'invalid or expired link');
+      }
+
+      await cancelEmailChange(revert.userId);
+
+      const user = await User.findByPk(revert.userId);
+      if (!user) {
+        return errorResponse(res, 400, 'invalid or expired link');
+      }
+
+      // 不是本人操作，视为账户被盗用：无论修改是否已确认，都撤销所有会话
+      if (user.email === revert.newEmail) {
+        // 修改已确认：恢复旧邮箱
+        const restored = await swapEmail(user.id, revert.newEmail, revert.oldEmail, (u, transaction) =>
+          invalidateUserTokens(u, { transaction })
+        );
+        if (restored === false) {
+          return errorResponse(res, 409, 'original email is no longer available');
+        }
+        if (restored) {
+          await invalidateEmailCodes(revert.newEmail);
+          return res.json({ ok: true, email: restored.email });
+        }
+      }
+
+      await invalidateUserTokens(user);
+      return res.json({ ok: true, email: user.email });
+    } catch (err) {
+      console.error('Email revert error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,48 @@
+// 路由共用的校验与响应工具
+const { resolveLocale } = require('../mail/templates');
+
+// 生成指定长度的验证码（确保总是6位）
+function genCode(len = 6) {
+  const min = Math.pow(10, len - 1);
+  const max = Math.pow(10, len) - 1;
+  return Math.floor(min + Math.random() * (max - min + 1)).toString();
+}
+
+// 验证邮箱格式（更严格的验证）
+function isValidEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return false;
+  }
+  // 基本格式验证
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) {
+    return false;
+  }
+  // 长度限制（RFC 5321）
+  if (email.length > 254) {
+    return false;
+  }
+  // 本地部分长度限制（@ 之前的部分）
+  const localPart = email.split('@')[0];
+  if (localPart.length > 64) {
+    return false;
+  }
+  return true;
+}
+
+// 邮件语言：优先使用用户保存的语言偏好，其次是请求的 Accept-Language
+function emailLocale(req, user) {
+  return resolveLocale(user && user.locale, req && req.headers['accept-language']);
+}
+
+// 统一错误响应；extra 中的字段合并到响应体（例如密码策略的 violations）
+function errorResponse(res, statusCode, message, extra) {
+  return res.status(statusCode).json({ error: message, ...extra });
+}
+
+module.exports = {
+  genCode,
+  isValidEmail,
+  emailLocale,
+  errorResponse
+};
@@ -0,0 +1,114 @@
+const express = require('express');
+const { rateLimit } = require('../middleware/rateLimit');
+const { recordEvent } = require('../services/audit');
+const { checkPassword } = require('../services/passwordPolicy');
+const { findPendingInvitation, acceptInvitation } = require('../services/invitations');
+const { errorResponse } = require('./helpers');
+
+// 邀请的组织信息（管理员邀请时为 null）
+function invitationOrganization(invitation) {
+  const org = invitation.Organization;
+  return org ? { id: org.id, slug: org.slug, name: org.name } : null;
+}
+
+module.exports = (models) => {
+  const router = express.Router();
+  const { User } = models;
+
+  // Look up an invitation before accepting it; tells the client whether to ask for a password
+  router.post('/invitations/preview', rateLimit('invitationAccept'), async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      if (!token || typeof token !== 'string') {
+        return errorResponse(res, 400, 'token required');
+      }
+
+      const invitation = await findPendingInvitation(token);
+      if (!invitation) {
+        return errorResponse(res, 400, 'invalid or expired invitation');
+      }
+
+      const user = await User.findOne({ where: { email: invitation.email } });
+      return res.json({
+        email: invitation.email,
+        organization: invitationOrganization(invitation),
+        role: invitation.role,
+        expiresAt: invitation.expires_at,
+        // 已有已验证账户时直接加入，不需要设置密码
+        passwordRequired: !user || !user.verified
+      });
+    } catch (err) {
+      console.error('Invitation preview error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Accept an invitation: create a verified account with the chosen password, or attach the existing account
+  router.post('/invitations/accept', rateLimit('invitationAccept'), async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      if (!token || typeof token !== 'string') {
+        return errorResponse(res, 400, 'token required');
+      }
+
+      const invitation = await findPendingInvitation(token);
+      if (!invitation) {
+        return errorResponse(res, 400, 'invalid or expired invitation');
+      }
+
+      const existing = await User.findOne({ where: { email: invitation.email } });
+      if (existing && existing.disabled_at) {
+        return errorResponse(res, 403, 'account disabled');
+      }
+
+      if (!existing || !existing.verified) {
+        if (!password) {
+          return errorResponse(res, 400, 'password required');
+        }
+        const violations = await checkPassword(password, { email: invitation.email });
+        if (violations.length > 0) {
+          return errorResponse(res, 400, 'password does not meet requirements', { violations });
+        }
+      }
+
+      const result = await acceptInvitation(invitation, { password });
+      if (!result) {
+        return errorResponse(res, 400, 'invalid or expired invitation');
+      }
+      if (result.error) {
+        return errorResponse(res, 403, result.error);
+      }
+
+      await recordEvent(req, {
+        event: 'invitation.accept',
+        outcome: 'success',
+        userId: result.user.id,
+        email: result.user.email,
+        details: {
+          invitationId: invitation.id,
+          organizationId: invitation.organization_id,
+          role: invitation.role,
+          created: result.created
+        }
+      });
+      // 不直接登录：已有账户可能开启了两步验证，接受后通过 /login 登录
+      return res.json({
+        ok: true,
+        created: result.created,
+        email: result.user.email,
+        organization: invitationOrganization(invitation),
+        role: invitation.role
+      });
+    } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') {
+        return errorResponse(res, 409, 'email already registered');
+      }
+      console.error('Invitation accept error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,111 @@
+const express = require('express');
+const config = require('../config');
+const { sendMagicLink } = require('../mail/mailer');
+const { rateLimit } = require('../middleware/rateLimit');
+const { startSession } = require('../services/tokens');
+const { sessionMeta } = require('../services/sessions');
+const { createLoginChallenge } = require('../services/twoFactor');
+const { recordEvent } = require('../services/audit');
+const { selectOrganization, requestedOrganizationSlug, requestSender } = require('../services/organizations');
+const { createMagicLinkToken, consumeMagicLinkToken } = require('../services/magicLink');
+const { isValidEmail, emailLocale, errorResponse } = require('./helpers');
+
+module.exports = (models) => {
+  const router = express.Router();
+  const { User } = models;
+
+  // Request a sign-in link by email
+  router.post('/magic-link/request', rateLimit('magicLink'), async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      if (!email) {
+        return errorResponse(res, 400, 'email required');
+      }
+
+      const normalizedEmail = email.trim().toLowerCase();
+
+      if (!isValidEmail(normalizedEmail)) {
+        return errorResponse(res, 400, 'invalid email format');
+      }
+
+      const user = await User.findOne({ where: { email: normalizedEmail } });
+
+      // 统一响应，防止用户枚举；只给已验证的账户发送登录链接
+      if (user && user.verified) {
+        try {
+          const token = await createMagicLinkToken(user);
+          const loginUrl = `${config.appUrl}/magic-link?token=${encodeURIComponent(token)}`;
+          await sendMagicLink(normalizedEmail, loginUrl, emailLocale(req, user), await requestSender(req, user));
+        } catch (err) {
+          console.error('Failed to send magic link:', err.message);
+          // 发送失败，但返回成功（安全考虑）
+        }
+      }
+
+      return res.json({ ok: true, message: 'sign-in link sent if email exists' });
+    } catch (err) {
+      console.error('Magic link request error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Exchange a sign-in link token for tokens (same response as /login)
+  router.post('/magic-link/consume', rateLimit('magicLinkConsume'), async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      if (!token || typeof token !== 'string') {
+        return errorResponse(res, 400, 'token required');
+      }
+
+      const link = await consumeMagicLinkToken(token);
+      if (!link) {
+        return errorResponse(res, 400, 'invalid or expired link');
+      }
+
+      // 链接发出后邮箱被修改或账户被删除时，链接失效
+      const user = await User.findByPk(link.userId);
+      if (!user || user.email !== link.email || !user.verified) {
+        return errorResponse(res, 400, 'invalid or expired link');
+      }
+      if (user.disabled_at) {
+        await recordEvent(req, {
+          event: 'login',
+          outcome: 'failure',
+          userId: user.id,
+          email: user.email,
+          details: { method: 'magic_link', reason: 'disabled' }
+        });
+        return errorResponse(res, 403, 'account disabled');
+      }
+
+      const selected = await selectOrganization(user, 'magic_link', requestedOrganizationSlug(req));
+      if (selected.error) {
+        return errorResponse(res, selected.status, selected.error);
+      }
+
+      // 登录链接只替代密码，已开启两步验证时仍需完成 /login/2fa
+      if (user.totp_enabled) {
+        const challengeToken = await createLoginChallenge(user.id, {
+          method: 'magic_link',
+          organizationId: selected.organizationId
+        });
+        return res.json({ mfaRequired: true, challengeToken });
+      }
+
+      const tokens = await startSession(user, {
+        ...sessionMeta(req),
+        method: 'magic_link',
+        organizationId: selected.organizationId
+      });
+      await recordEvent(req, { event: 'login', outcome: 'success', userId: user.id, email: user.email, details: { method: 'magic_link' } });
+      return res.json(tokens);
+    } catch (err) {
+      console.error('Magic link consume error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
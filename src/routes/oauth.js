@@ -0,0 +1,297 @@
+const express = require('express');
+const crypto = require('crypto');
+const config = require('../config');
+const authMiddleware = require('../middleware/auth');
+const { requireSession } = require('../middleware/authorize');
+const { startSession } = require('../services/tokens');
+const { sessionMeta } = require('../services/sessions');
+const { createLoginChallenge } = require('../services/twoFactor');
+const { recordEvent } = require('../services/audit');
+const { selectOrganization } = require('../services/organizations');
+const { hashPassword } = require('../services/passwordHash');
+const {
+  getProvider,
+  createAuthorizationUrl,
+  takeState,
+  stateMatchesNonce,
+  exchangeCode,
+  fetchProfile
+} = require('../services/oauth');
+const { errorResponse } = require('./helpers');
+
+module.exports = (models) => {
+  const router = express.Router();
+  const { User, UserIdentity } = models;
+
+  // 通过第三方创建的账户没有本地密码，使用随机密码占位（可通过忘记密码流程设置）
+  async function unusablePasswordHash() {
+    return hashPassword(crypto.randomBytes(32).toString('hex'));
+  }
+
+  // 发起授权的浏览器 cookie，只在回调路径上发送
+  const NONCE_COOKIE = 'oauth_nonce';
+  const NONCE_COOKIE_OPTIONS = {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: config.publicUrl.startsWith('https://'),
+    path: '/api/auth/oauth'
+  };
+
+  function setNonceCookie(res, nonce) {
+    res.cookie(NONCE_COOKIE, nonce, { ...NONCE_COOKIE_OPTIONS, maxAge: config.oauth.stateTtl * 1000 });
+  }
+
+  function readNonceCookie(req) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+      const index = part.indexOf('=');
+      if (index !== -1 && part.slice(0, index).trim() === NONCE_COOKIE) {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      }
+    }
+    return null;
+  }
+
+  // 回调结果：配置了前端地址时放入 URL fragment 跳转，否则直接返回 JSON
+  function sendCallbackResult(res, statusCode, result) {
+    if (config.oauth.frontendRedirect) {
+      const fragment = new URLSearchParams(result).toString();
+      return res.redirect(`${config.oauth.frontendRedirect}#${fragment}`);
+    }
+    return res.status(statusCode).json(result);
+  }
+
+  // 绑定第三方身份到已登录用户
+  async function linkIdentity(provider, profile, userId) {
+    const existing = await UserIdentity.findOne({
+      where: { provider: provider.name, subject: profile.subject }
+    });
+    if (existing) {
+      if (String(existing.user_id) !== String(userId)) {
+        return { error: 'identity already linked to another account' };
+      }
+      return { identity: existing };
+    }
+
+    const identity = await UserIdentity.create({
+      user_id: userId,
+      provider: provider.name,
+      subject: profile.subject,
+      email: profile.email
+    });
+    return { identity };
+  }
+
+  // 第三方登录：按已绑定身份查找用户，否则按已验证邮箱关联或创建用户
+  async function findOrCreateUser(provider, profile) {
+    const identity = await UserIdentity.findOne({
+      where: { provider: provider.name, subject: profile.subject }
+    });
+    if (identity) {
+      const user = await User.findByPk(identity.user_id);
+      return user ? { user } : { error: 'account not found' };
+    }
+
+    if (!profile.email || !profile.emailVerified) {
+      return { error: 'provider did not return a verified email' };
+    }
+
+    const transaction = await User.sequelize.transaction();
+    try {
+      let user = await User.findOne({ where: { email: profile.email }, transaction });
+
+      if (!user) {
+        user = await User.create({
+          email: profile.email,
+          password_hash: await unusablePasswordHash(),
+          verified: true
+        }, { transaction });
+      } else if (!user.verified) {
+        // 未验证账户的密码可能由冒用邮箱的人设置，关联前作废该密码
+        user.password_hash = await unusablePasswordHash();
+        user.verified = true;
+        await user.save({ transaction });
+      }
+
+      await UserIdentity.create({
+        user_id: user.id,
+        provider: provider.name,
+        subject: profile.subject,
+        email: profile.email
+      }, { transaction });
+
+      await transaction.commit();
+      return { user };
+    } catch (err) {
+      await transaction.rollback();
+      throw err;
+    }
+  }
+
+  // Start social login — redirect to the provider
+  router.get('/oauth/:provider/start', async (req, res) => {
+    try {
+      const provider = getProvider(req.params.provider);
+      if (!provider) {
+        return errorResponse(res, 404, 'unknown provider');
+      }
+
+      // 浏览器跳转无法携带 X-Organization 请求头，组织通过 ?organization= 指定
+      const organization = req.query.organization ? String(req.query.organization).trim().toLowerCase() : null;
+      const { url, nonce } = await createAuthorizationUrl(provider, { organization });
+      setNonceCookie(res, nonce);
+      return res.redirect(url);
+    } catch (err) {
+      console.error('OAuth start error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Start linking an identity to the signed-in account (authenticated)
+  // 返回授权地址，由前端跳转（浏览器跳转无法携带 Authorization 头）
+  router.post('/oauth/:provider/link', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const provider = getProvider(req.params.provider);
+      if (!provider) {
+        return errorResponse(res, 404, 'unknown provider');
+      }
+
+      const { url, nonce } = await createAuthorizationUrl(provider, { linkUserId: req.user.sub });
+      setNonceCookie(res, nonce);
+      return res.json({ authorizationUrl: url });
+    } catch (err) {
+      console.error('OAuth link error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Provider callback — exchange code, then sign in or link
+  router.get('/oauth/:provider/callback', async (req, res) => {
+    try {
+      const provider = getProvider(req.params.provider);
+      if (!provider) {
+        return errorResponse(res, 404, 'unknown provider');
+      }
+
+      const { code, state, error } = req.query;
+      if (error) {
+        return sendCallbackResult(res, 400, { error: String(error) });
+      }
+      if (!code || !state) {
+        return sendCallbackResult(res, 400, { error: 'code and state required' });
+      }
+
+      const saved = await takeState(String(state), provider.name);
+      if (!saved) {
+        return sendCallbackResult(res, 400, { error: 'state expired or invalid' });
+      }
+      res.clearCookie(NONCE_COOKIE, NONCE_COOKIE_OPTIONS);
+      if (!stateMatchesNonce(saved, readNonceCookie(req))) {
+        return sendCallbackResult(res, 400, { error: 'state was not issued to this browser' });
+      }
+
+      let profile;
+      try {
+        const accessToken = await exchangeCode(provider, String(code), saved.codeVerifier);
+        profile = await fetchProfile(provider, accessToken);
+      } catch (upstreamErr) {
+        console.error('OAuth: Upstream error:', upstreamErr.message);
+        return sendCallbackResult(res, 502, { error: 'failed to authenticate with provider' });
+      }
+
+      if (saved.linkUserId) {
+        const result = await linkIdentity(provider, profile, saved.linkUserId);
+        if (result.error) {
+          return sendCallbackResult(res, 409, { error: result.error });
+        }
+        return sendCallbackResult(res, 200, { linked: provider.name });
+      }
+
+      const result = await findOrCreateUser(provider, profile);
+      if (result.error) {
+        return sendCallbackResult(res, 400, { error: result.error });
+      }
+
+      const { user } = result;
+      if (user.disabled_at) {
+        await recordEvent(req, {
+          event: 'login',
+          outcome: 'failure',
+          userId: user.id,
+          email: user.email,
+          details: { method: 'oauth', provider: provider.name, reason: 'disabled' }
+        });
+        return sendCallbackResult(res, 403, { error: 'account disabled' });
+      }
+      const selected = await selectOrganization(user, 'oauth', saved.organization);
+      if (selected.error) {
+        return sendCallbackResult(res, selected.status, { error: selected.error });
+      }
+      if (user.totp_enabled) {
+        const challengeToken = await createLoginChallenge(user.id, {
+          method: 'oauth',
+          organizationId: selected.organizationId
+        });
+        return sendCallbackResult(res, 200, { mfaRequired: true, challengeToken });
+      }
+
+      const tokens = await startSession(user, {
+        ...sessionMeta(req),
+        method: 'oauth',
+        organizationId: selected.organizationId
+      });
+      await recordEvent(req, {
+        event: 'login',
+        outcome: 'success',
+        userId: user.id,
+        email: user.email,
+        details: { method: 'oauth', provider: provider.name }
+      });
+      return sendCallbackResult(res, 200, tokens);
+    } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') {
+        return sendCallbackResult(res, 409, { error: 'identity already linked to another account' });
+      }
+      console.error('OAuth callback error:', err);
+      return sendCallbackResult(res, 500, { error: 'internal server error' });
+    }
+  });
+
+  // List linked identities (authenticated)
+  router.get('/identities', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const identities = await UserIdentity.findAll({
+        where: { user_id: req.user.sub },
+        order: [['created_at', 'ASC']]
+      });
+      return res.json({
+        identities: identities.map((i) => ({
+          id: i.id,
+          provider: i.provider,
+          email: i.email,
+          createdAt: i.created_at
+        }))
+      });
+    } catch (err) {
+      console.error('List identities error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Unlink an identity (authenticated)
+  router.delete('/identities/:id', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const deleted = await UserIdentity.destroy({
+        where: { id: req.params.id, user_id: req.user.sub }
+      });
+      if (!deleted) {
+        return errorResponse(res, 404, 'identity not found');
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Unlink identity error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,324 @@
+const express = require('express');
+const config = require('../config');
+const authMiddleware = require('../middleware/auth');
+const { requireSession } = require('../middleware/authorize');
+const {
+  verifyClientSecret,
+  parseScopes,
+  verifyPkce,
+  saveAuthorizationRequest,
+  getAuthorizationRequest,
+  deleteAuthorizationRequest,
+  createAuthorizationCode,
+  consumeAuthorizationCode,
+  createAccessToken,
+  getAccessToken,
+  signIdToken,
+  userClaims,
+  discoveryDocument
+} = require('../services/oidc');
+const { getJwks } = require('../services/keys');
+const { getSession } = require('../services/sessions');
+const { errorResponse } = require('./helpers');
+
+// OpenID Connect 提供方，挂载在根路径
+module.exports = (models) => {
+  const router = express.Router();
+  const { User, OAuthClient, OAuthConsent } = models;
+
+  // OAuth 2.0 规范的错误响应格式
+  function oauthError(res, statusCode, error, description) {
+    return res.status(statusCode).json({ error, error_description: description });
+  }
+
+  function buildRedirect(redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+    return url.toString();
+  }
+
+  // 客户端认证：支持 client_secret_basic 和 client_secret_post
+  function readClientCredentials(req) {
+    const auth = req.headers.authorization;
+    if (auth && auth.startsWith('Basic ')) {
+      const decoded = Buffer.from(auth.slice(6), 'base64').toString();
+      const index = decoded.indexOf(':');
+      if (index > 0) {
+        return {
+          clientId: decodeURIComponent(decoded.slice(0, index)),
+          clientSecret: decodeURIComponent(decoded.slice(index + 1))
+        };
+      }
+    }
+    return { clientId: req.body.client_id, clientSecret: req.body.client_secret };
+  }
+
+  async function hasConsent(userId, client, scopes) {
+    if (client.trusted) {
+      return true;
+    }
+    const consent = await OAuthConsent.findOne({ where: { user_id: userId, client_id: client.client_id } });
+    return Boolean(consent) && scopes.every((s) => consent.scopes.includes(s));
+  }
+
+  // Discovery document
+  router.get('/.well-known/openid-configuration', (req, res) => {
+    return res.json(discoveryDocument());
+  });
+
+  // JSON Web Key Set — public keys for verifying our tokens
+  router.get('/.well-known/jwks.json', async (req, res) => {
+    try {
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.json(await getJwks());
+    } catch (err) {
+      console.error('JWKS error:', err);
+      return oauthError(res, 500, 'server_error', 'internal server error');
+    }
+  });
+
+  // Authorization endpoint — validate the request, then hand off to the login page
+  router.get('/authorize', async (req, res) => {
+    try {
+      const {
+        response_type: responseType,
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod
+      } = req.query;
+
+      // client_id 或 redirect_uri 无效时不能重定向，直接返回错误
+      const client = clientId ? await OAuthClient.findOne({ where: { client_id: String(clientId) } }) : null;
+      if (!client) {
+        return oauthError(res, 400, 'invalid_client', 'unknown client_id');
+      }
+      if (!redirectUri || !client.redirect_uris.includes(redirectUri)) {
+        return oauthError(res, 400, 'invalid_request', 'redirect_uri not registered for this client');
+      }
+
+      const redirectError = (error, description) =>
+        res.redirect(buildRedirect(redirectUri, { error, error_description: description, state }));
+
+      if (responseType !== 'code') {
+        return redirectError('unsupported_response_type', 'only response_type=code is supported');
+      }
+
+      const scopes = parseScopes(scope);
+      if (!scopes) {
+        return redirectError('invalid_scope', 'scope must include openid and only supported scopes');
+      }
+
+      if (!codeChallenge || codeChallengeMethod !== 'S256') {
+        return redirectError('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+      }
+
+      const requestId = await saveAuthorizationRequest({
+        clientId: client.client_id,
+        redirectUri,
+        scopes,
+        state: state || null,
+        nonce: nonce || null,
+        codeChallenge
+      });
+
+      // 跳转到前端登录页：前端使用 /api/auth/login 登录后调用下方的授权确认接口
+      return res.redirect(buildRedirect(config.oidc.loginUrl, { request_id: requestId }));
+    } catch (err) {
+      console.error('OIDC authorize error:', err);
+      return oauthError(res, 500, 'server_error', 'internal server error');
+    }
+  });
+
+  // Pending authorization request details for the consent screen (authenticated)
+  router.get('/api/auth/oidc/requests/:id', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const request = await getAuthorizationRequest(req.params.id);
+      if (!request) {
+        return errorResponse(res, 404, 'authorization request expired or not found');
+      }
+
+      const client = await OAuthClient.findOne({ where: { client_id: request.clientId } });
+      if (!client) {
+        return errorResponse(res, 404, 'authorization request expired or not found');
+      }
+
+      return res.json({
+        client: { clientId: client.client_id, name: client.name },
+        scopes: request.scopes,
+        consentRequired: !(await hasConsent(req.user.sub, client, request.scopes))
+      });
+    } catch (err) {
+      console.error('OIDC request lookup error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Approve or deny a pending authorization request (authenticated)
+  // 返回 redirectTo，由前端跳转回客户端
+  router.post('/api/auth/oidc/requests/:id', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const { approve } = req.body;
+
+      const request = await getAuthorizationRequest(req.params.id);
+      if (!request) {
+        return errorResponse(res, 404, 'authorization request expired or not found');
+      }
+      await deleteAuthorizationRequest(req.params.id);
+
+      if (approve !== true) {
+        return res.json({
+          redirectTo: buildRedirect(request.redirectUri, {
+            error: 'access_denied',
+            error_description: 'user denied the request',
+            state: request.state
+          })
+        });
+      }
+
+      const client = await OAuthClient.findOne({ where: { client_id: request.clientId } });
+      if (!client) {
+        return errorResponse(res, 404, 'authorization request expired or not found');
+      }
+
+      // 记录用户授权，下次相同 scope 无需再次确认
+      if (!client.trusted) {
+        const consent = await OAuthConsent.findOne({
+          where: { user_id: req.user.sub, client_id: client.client_id }
+        });
+        if (consent) {
+          consent.scopes = [...new Set([...consent.scopes, ...request.scopes])];
+          await consent.save();
+        } else {
+          await OAuthConsent.create({
+            user_id: req.user.sub,
+            client_id: client.client_id,
+            scopes: request.scopes
+          });
+        }
+      }
+
+      // auth_time 为用户登录（会话创建）的时间，而不是随刷新变化的 access token 签发时间
+      const session = await getSession(req.user.sid);
+      if (!session) {
+        return errorResponse(res, 401, 'session revoked');
+      }
+
+      const code = await createAuthorizationCode({
+        clientId: client.client_id,
+        userId: req.user.sub,
+        redirectUri: request.redirectUri,
+        scopes: request.scopes,
+        nonce: request.nonce,
+        codeChallenge: request.codeChallenge,
+        authTime: Math.floor(Date.parse(session.createdAt) / 1000)
+      });
+
+      return res.json({
+        redirectTo: buildRedirect(request.redirectUri, { code, state: request.state })
+      });
+    } catch (err) {
+      console.error('OIDC consent error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Token endpoint — authorization_code grant with PKCE
+  router.post('/token', async (req, res) => {
+    try {
+      res.set('Cache-Control', 'no-store');
+      res.set('Pragma', 'no-cache');
+
+      const { grant_type: grantType, code, redirect_uri: redirectUri, code_verifier: codeVerifier } = req.body;
+      const { clientId, clientSecret } = readClientCredentials(req);
+
+      if (grantType !== 'authorization_code') {
+        return oauthError(res, 400, 'unsupported_grant_type', 'only authorization_code is supported');
+      }
+
+      const client = clientId ? await OAuthClient.findOne({ where: { client_id: String(clientId) } }) : null;
+      if (!client) {
+        return oauthError(res, 401, 'invalid_client', 'client authentication failed');
+      }
+      // 机密客户端必须提供正确的密钥，公开客户端仅依赖 PKCE
+      if (client.client_secret_hash && !verifyClientSecret(client, clientSecret)) {
+        return oauthError(res, 401, 'invalid_client', 'client authentication failed');
+      }
+
+      if (!code || !redirectUri || !codeVerifier) {
+        return oauthError(res, 400, 'invalid_request', 'code, redirect_uri and code_verifier required');
+      }
+
+      const data = await consumeAuthorizationCode(String(code));
+      if (!data || data.clientId !== client.client_id || data.redirectUri !== redirectUri) {
+        return oauthError(res, 400, 'invalid_grant', 'authorization code invalid or expired');
+      }
+      if (!verifyPkce(String(codeVerifier), data.codeChallenge)) {
+        return oauthError(res, 400, 'invalid_grant', 'code_verifier does not match');
+      }
+
+      const user = await User.findByPk(data.userId);
+      if (!user || user.disabled_at) {
+        return oauthError(res, 400, 'invalid_grant', 'authorization code invalid or expired');
+      }
+
+      const accessToken = await createAccessToken({
+        userId: user.id,
+        clientId: client.client_id,
+        scopes: data.scopes
+      });
+      const idToken = await signIdToken({
+        user,
+        clientId: client.client_id,
+        nonce: data.nonce,
+        authTime: data.authTime
+      });
+
+      return res.json({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: config.oidc.accessTokenTtl,
+        id_token: idToken,
+        scope: data.scopes.join(' ')
+      });
+    } catch (err) {
+      console.error('OIDC token error:', err);
+      return oauthError(res, 500, 'server_error', 'internal server error');
+    }
+  });
+
+  // UserInfo endpoint
+  async function userinfo(req, res) {
+    try {
+      const auth = req.headers.authorization;
+      const token = auth && auth.startsWith('Bearer ') ? auth.slice(7) : null;
+      const data = token ? await getAccessToken(token) : null;
+      if (!data) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return oauthError(res, 401, 'invalid_token', 'access token invalid or expired');
+      }
+
+      const user = await User.findByPk(data.userId);
+      if (!user || user.disabled_at) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return oauthError(res, 401, 'invalid_token', 'access token invalid or expired');
+      }
+
+      return res.json(userClaims(user, data.scopes));
+    } catch (err) {
+      console.error('OIDC userinfo error:', err);
+      return oauthError(res, 500, 'server_error', 'internal server error');
+    }
+  }
+  router.get('/userinfo', userinfo);
+  router.post('/userinfo', userinfo);
+
+  return router;
+};
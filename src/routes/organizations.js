@@ -0,0 +1,541 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { requireSession } = require('../middleware/authorize');
+const { signAccessToken } = require('../services/tokens');
+const { getSession, setSessionOrganization } = require('../services/sessions');
+const { recordEvent } = require('../services/audit');
+const {
+  SIGN_IN_METHODS,
+  ORG_ROLES,
+  SLUG_PATTERN,
+  organizationSettings,
+  allowsSignInMethod,
+  isAllowedSenderAddress,
+  getMembership,
+  serializeOrganization
+} = require('../services/organizations');
+const {
+  invitationExpiry,
+  findPendingDuplicate,
+  createInvitation,
+  renewInvitation,
+  sendInvitationEmail,
+  serializeInvitation
+} = require('../services/invitations');
+const { isValidEmail, emailLocale, errorResponse } = require('./helpers');
+
+const NAME_MAX_LENGTH = 100;
+
+// 返回给客户端的成员信息
+function serializeMember(m) {
+  return {
+    userId: m.user_id,
+    email: m.User ? m.User.email : undefined,
+    displayName: m.User ? m.User.display_name : undefined,
+    role: m.role,
+    joinedAt: m.created_at
+  };
+}
+
+// 校验并合并组织设置，返回 { settings } 或 { error }
+function mergeSettings(org, input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'settings must be an object' };
+  }
+  const current = organizationSettings(org);
+  const settings = { signInMethods: current.signInMethods, mail: { ...current.mail } };
+
+  if (input.signInMethods !== undefined) {
+    const methods = input.signInMethods;
+    if (!Array.isArray(methods) || methods.length === 0 || methods.some((m) => !SIGN_IN_METHODS.includes(m))) {
+      return { error: `signInMethods must be a non-empty array of: ${SIGN_IN_METHODS.join(', ')}` };
+    }
+    settings.signInMethods = [...new Set(methods)];
+  }
+
+  if (input.mail !== undefined) {
+    const mail = input.mail;
+    if (!mail || typeof mail !== 'object' || Array.isArray(mail)) {
+      return { error: 'mail must be an object' };
+    }
+    for (const field of ['fromAddress', 'replyTo']) {
+      if (mail[field] !== undefined) {
+        if (mail[field] !== null && (typeof mail[field] !== 'string' || !isValidEmail(mail[field]))) {
+          return { error: `invalid mail.${field}` };
+        }
+        settings.mail[field] = mail[field];
+      }
+    }
+    if (mail.fromAddress && !isAllowedSenderAddress(mail.fromAddress)) {
+      return { error: 'mail.fromAddress domain not allowed' };
+    }
+    for (const field of ['fromName', 'brandName']) {
+      if (mail[field] !== undefined) {
+        if (mail[field] !== null && (typeof mail[field] !== 'string' || mail[field].length > NAME_MAX_LENGTH)) {
+          return { error: `mail.${field} must be a string of at most ${NAME_MAX_LENGTH} characters` };
+        }
+        settings.mail[field] = mail[field];
+      }
+    }
+  }
+
+  return { settings };
+}
+
+module.exports = (models) => {
+  const router = express.Router();
+  const { User, Organization, OrganizationMember, Invitation } = models;
+
+  router.use(authMiddleware, requireSession);
+
+  // 读取当前用户在路径中组织的成员记录；不是成员时返回 404，不泄露组织是否存在
+  // 路径中的组织不是会话的当前组织时，组织必须允许本次会话的登录方式（没有记录登录方式的会话视为不允许）
+  // roles 不为空时要求拥有其中一个角色
+  async function loadMembership(req, res, roles) {
+    const membership = await getMembership(req.params.id, req.user.sub);
+    if (!membership) {
+      errorResponse(res, 404, 'organization not found');
+      return null;
+    }
+    if (String(req.user.org) !== String(membership.organization_id)) {
+      const session = await getSession(req.user.sid);
+      if (!session) {
+        errorResponse(res, 401, 'session revoked');
+        return null;
+      }
+      if (!session.method || !allowsSignInMethod(membership.Organization, session.method)) {
+        errorResponse(res, 403, 'sign-in method not allowed for this organization');
+        return null;
+      }
+    }
+    if (roles && !roles.includes(membership.role)) {
+      errorResponse(res, 403, 'insufficient organization role');
+      return null;
+    }
+    return membership;
+  }
+
+  // 组织至少保留一个 owner
+  async function isLastOwner(membership) {
+    if (membership.role !== 'owner') return false;
+    const owners = await OrganizationMember.count({
+      where: { organization_id: membership.organization_id, role: 'owner' }
+    });
+    return owners <= 1;
+  }
+
+  // Create an organization; the creator becomes its owner
+  router.post('/', async (req, res) => {
+    try {
+      const { name, slug } = req.body;
+
+      if (typeof name !== 'string' || !name.trim()) {
+        return errorResponse(res, 400, 'name required');
+      }
+      if (name.trim().length > NAME_MAX_LENGTH) {
+        return errorResponse(res, 400, `name must be at most ${NAME_MAX_LENGTH} characters`);
+      }
+      const normalizedSlug = typeof slug === 'string' ? slug.trim().toLowerCase() : '';
+      if (!SLUG_PATTERN.test(normalizedSlug)) {
+        return errorResponse(res, 400, 'slug must be 3-64 lowercase letters, digits or hyphens');
+      }
+
+      const existing = await Organization.findOne({ where: { slug: normalizedSlug } });
+      if (existing) {
+        return errorResponse(res, 409, 'slug already taken');
+      }
+
+      const transaction = await Organization.sequelize.transaction();
+      let org;
+      let membership;
+      try {
+        org = await Organization.create({ name: name.trim(), slug: normalizedSlug, settings: null }, { transaction });
+        membership = await OrganizationMember.create(
+          { organization_id: org.id, user_id: req.user.sub, role: 'owner' },
+          { transaction }
+        );
+        await transaction.commit();
+      } catch (err) {
+        await transaction.rollback();
+        if (err.name === 'SequelizeUniqueConstraintError') {
+          return errorResponse(res, 409, 'slug already taken');
+        }
+        throw err;
+      }
+
+      await recordEvent(req, {
+        event: 'organization.create',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { organizationId: org.id, slug: org.slug }
+      });
+      return res.status(201).json(serializeOrganization(org, membership));
+    } catch (err) {
+      console.error('Create organization error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // List the organizations the current user belongs to
+  router.get('/', async (req, res) => {
+    try {
+      const memberships = await OrganizationMember.findAll({
+        where: { user_id: req.user.sub },
+        include: [{ model: Organization }],
+        order: [['created_at', 'ASC'], ['id', 'ASC']]
+      });
+      return res.json({
+        organizations: memberships.map((m) => serializeOrganization(m.Organization, m)),
+        activeOrganizationId: req.user.org || null
+      });
+    } catch (err) {
+      console.error('List organizations error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Get an organization (members only)
+  router.get('/:id', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res);
+      if (!membership) return;
+      return res.json(serializeOrganization(membership.Organization, membership));
+    } catch (err) {
+      console.error('Get organization error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Update name and settings (sign-in methods, email sender) — owners and admins
+  router.patch('/:id', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ['owner', 'admin']);
+      if (!membership) return;
+      const org = membership.Organization;
+      const { name, settings } = req.body;
+
+      if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > NAME_MAX_LENGTH) {
+          return errorResponse(res, 400, `name must be 1-${NAME_MAX_LENGTH} characters`);
+        }
+        org.name = name.trim();
+      }
+      if (settings !== undefined) {
+        const merged = mergeSettings(org, settings);
+        if (merged.error) {
+          return errorResponse(res, 400, merged.error);
+        }
+        org.settings = merged.settings;
+      }
+      await org.save();
+
+      await recordEvent(req, {
+        event: 'organization.update',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { organizationId: org.id }
+      });
+      return res.json(serializeOrganization(org, membership));
+    } catch (err) {
+      console.error('Update organization error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Delete an organization — owners only
+  router.delete('/:id', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ['owner']);
+      if (!membership) return;
+
+      await membership.Organization.destroy();
+      await recordEvent(req, {
+        event: 'organization.delete',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { organizationId: membership.organization_id }
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Delete organization error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Switch the current session to this organization and issue a new access token
+  router.post('/:id/switch', async (req, res) => {
+    try {
+      // 组织不允许本次会话的登录方式时，loadMembership 返回 403，需要用允许的方式重新登录
+      const membership = await loadMembership(req, res);
+      if (!membership) return;
+
+      await setSessionOrganization(req.user.sid, membership.organization_id);
+      const user = await User.findByPk(req.user.sub);
+      const token = await signAccessToken(user, req.user.sid);
+      return res.json({ token, organization: serializeOrganization(membership.Organization, membership) });
+    } catch (err) {
+      console.error('Switch organization error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // List members (members only)
+  router.get('/:id/members', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res);
+      if (!membership) return;
+
+      const members = await OrganizationMember.findAll({
+        where: { organization_id: membership.organization_id },
+        include: [{ model: User, attributes: ['id', 'email', 'display_name'] }],
+        order: [['created_at', 'ASC'], ['id', 'ASC']]
+      });
+      return res.json({ members: members.map(serializeMember) });
+    } catch (err) {
+      console.error('List organization members error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Change a member's role — owners, or admins for non-owner roles
+  router.patch('/:id/members/:userId', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ['owner', 'admin']);
+      if (!membership) return;
+
+      const { role } = req.body;
+      if (!ORG_ROLES.includes(role)) {
+        return errorResponse(res, 400, `role must be one of: ${ORG_ROLES.join(', ')}`);
+      }
+
+      const target = await OrganizationMember.findOne({
+        where: { organization_id: membership.organization_id, user_id: req.params.userId }
+      });
+      if (!target) {
+        return errorResponse(res, 404, 'member not found');
+      }
+      // 只有 owner 可以授予或修改 owner 角色
+      if (membership.role !== 'owner' && (role === 'owner' || target.role === 'owner')) {
+        return errorResponse(res, 403, 'insufficient organization role');
+      }
+      if (role !== 'owner' && await isLastOwner(target)) {
+        return errorResponse(res, 400, 'organization must keep at least one owner');
+      }
+
+      const previousRole = target.role;
+      target.role = role;
+      await target.save();
+      await recordEvent(req, {
+        event: 'organization.member.role',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { organizationId: target.organization_id, memberId: target.user_id, from: previousRole, to: role }
+      });
+      return res.json({ ok: true, role });
+    } catch (err) {
+      console.error('Update organization member error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Remove a member, or leave the organization when removing yourself
+  router.delete('/:id/members/:userId', async (req, res) => {
+    try {
+      const self = String(req.params.userId) === String(req.user.sub);
+      const membership = await loadMembership(req, res, self ? null : ['owner', 'admin']);
+      if (!membership) return;
+
+      const target = self ? membership : await OrganizationMember.findOne({
+        where: { organization_id: membership.organization_id, user_id: req.params.userId }
+      });
+      if (!target) {
+        return errorResponse(res, 404, 'member not found');
+      }
+      if (!self && membership.role !== 'owner' && target.role === 'owner') {
+        return errorResponse(res, 403, 'insufficient organization role');
+      }
+      if (await isLastOwner(target)) {
+        return errorResponse(res, 400, 'organization must keep at least one owner');
+      }
+
+      await target.destroy();
+      await recordEvent(req, {
+        event: 'organization.member.remove',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { organizationId: target.organization_id, memberId: target.user_id }
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Remove organization member error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // 组织中未接受的一条邀请
+  async function findOrganizationInvitation(membership, id) {
+    return Invitation.findOne({
+      where: { id, organization_id: membership.organization_id, accepted_at: null }
+    });
+  }
+
+  // Invite someone to the organization by email — owners, or admins for non-owner roles
+  router.post('/:id/invitations', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ['owner', 'admin']);
+      if (!membership) return;
+
+      const { email, role = 'member', expiresInDays } = req.body;
+      const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+
+      if (!isValidEmail(normalizedEmail)) {
+        return errorResponse(res, 400, 'invalid email format');
+      }
+      if (!ORG_ROLES.includes(role)) {
+        return errorResponse(res, 400, `role must be one of: ${ORG_ROLES.join(', ')}`);
+      }
+      if (role === 'owner' && membership.role !== 'owner') {
+        return errorResponse(res, 403, 'insufficient organization role');
+      }
+      const expiry = invitationExpiry(expiresInDays);
+      if (expiry.error) {
+        return errorResponse(res, 400, expiry.error);
+      }
+
+      const existing = await User.findOne({ where: { email: normalizedEmail } });
+      if (existing && await OrganizationMember.findOne({
+        where: { organization_id: membership.organization_id, user_id: existing.id }
+      })) {
+        return errorResponse(res, 409, 'already a member');
+      }
+      if (await findPendingDuplicate(normalizedEmail, membership.organization_id)) {
+        return errorResponse(res, 409, 'invitation already pending');
+      }
+
+      const { token, invitation } = await createInvitation({
+        email: normalizedEmail,
+        organizationId: membership.organization_id,
+        role,
+        invitedBy: req.user.sub,
+        expiresAt: expiry.expiresAt
+      });
+      try {
+        const inviter = await User.findByPk(req.user.sub);
+        await sendInvitationEmail(invitation, token, { inviter, locale: emailLocale(req, existing) });
+      } catch (err) {
+        console.error('Mail: Failed to queue invitation:', err.message);
+        await invitation.destroy();
+        return errorResponse(res, 500, 'failed to queue invitation email');
+      }
+
+      await recordEvent(req, {
+        event: 'invitation.create',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { invitationId: invitation.id, organizationId: invitation.organization_id, invitee: normalizedEmail, role }
+      });
+      return res.status(201).json(serializeInvitation(invitation));
+    } catch (err) {
+      console.error('Create organization invitation error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // List invitations that have not been accepted (pending or expired) — owners and admins
+  router.get('/:id/invitations', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ['owner', 'admin']);
+      if (!membership) return;
+
+      const invitations = await Invitation.findAll({
+        where: { organization_id: membership.organization_id, accepted_at: null },
+        order: [['created_at', 'DESC']]
+      });
+      return res.json({ invitations: invitations.map(serializeInvitation) });
+    } catch (err) {
+      console.error('List organization invitations error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Resend an invitation with a new link (the previous link stops working)
+  router.post('/:id/invitations/:invitationId/resend', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ['owner', 'admin']);
+      if (!membership) return;
+
+      const invitation = await findOrganizationInvitation(membership, req.params.invitationId);
+      if (!invitation) {
+        return errorResponse(res, 404, 'invitation not found');
+      }
+      if (invitation.role === 'owner' && membership.role !== 'owner') {
+        return errorResponse(res, 403, 'insufficient organization role');
+      }
+      const expiry = invitationExpiry(req.body.expiresInDays);
+      if (expiry.error) {
+        return errorResponse(res, 400, expiry.error);
+      }
+
+      const token = await renewInvitation(invitation, expiry.expiresAt);
+      try {
+        const [inviter, existing] = await Promise.all([
+          User.findByPk(req.user.sub),
+          User.findOne({ where: { email: invitation.email } })
+        ]);
+        await sendInvitationEmail(invitation, token, { inviter, locale: emailLocale(req, existing) });
+      } catch (err) {
+        console.error('Mail: Failed to queue invitation:', err.message);
+        return errorResponse(res, 500, 'failed to queue invitation email');
+      }
+
+      await recordEvent(req, {
+        event: 'invitation.resend',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { invitationId: invitation.id, organizationId: invitation.organization_id, invitee: invitation.email }
+      });
+      return res.json(serializeInvitation(invitation));
+    } catch (err) {
+      console.error('Resend organization invitation error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Revoke an invitation that has not been accepted — owners, or admins for non-owner invitations
+  router.delete('/:id/invitations/:invitationId', async (req, res) => {
+    try {
+      const membership = await loadMembership(req, res, ['owner', 'admin']);
+      if (!membership) return;
+
+      const invitation = await findOrganizationInvitation(membership, req.params.invitationId);
+      if (!invitation) {
+        return errorResponse(res, 404, 'invitation not found');
+      }
+      if (invitation.role === 'owner' && membership.role !== 'owner') {
+        return errorResponse(res, 403, 'insufficient organization role');
+      }
+
+      await invitation.destroy();
+      await recordEvent(req, {
+        event: 'invitation.revoke',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { invitationId: invitation.id, organizationId: invitation.organization_id, invitee: invitation.email }
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Revoke organization invitation error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
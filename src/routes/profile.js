@@ -0,0 +1,308 @@
+const express = require('express');
+const config = require('../config');
+const authMiddleware = require('../middleware/auth');
+const { requireScope, requireSession } = require('../middleware/authorize');
+const { rateLimit } = require('../middleware/rateLimit');
+const { exportUserData, purgeUser } = require('../services/account');
+const { serializeEvent } = require('../services/audit');
+const { verifyPassword } = require('../services/passwordHash');
+const { getSession } = require('../services/sessions');
+const { loginLockRemaining, recordLoginFailure } = require('../services/lockout');
+const { tooManyRequests } = require('../middleware/rateLimit');
+const { errorResponse } = require('./helpers');
+
+// 可以代替输入密码的登录方式：通行密钥、第三方登录和 magic link 都不依赖本地密码
+const REAUTH_METHODS = ['passkey', 'oauth', 'magic_link'];
+
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const METADATA_VALUE_MAX_LENGTH = 1024;
+const SECURITY_EVENTS_PAGE_SIZE = 20;
+const SECURITY_EVENTS_MAX_PAGE_SIZE = 100;
+
+// 返回给客户端的资料字段（白名单，不包含 password_hash、totp_secret 等敏感字段）
+function serializeProfile(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    verified: user.verified,
+    displayName: user.display_name,
+    avatarUrl: user.avatar_url,
+    locale: user.locale,
+    timezone: user.timezone,
+    metadata: user.metadata || {},
+    twoFactorEnabled: user.totp_enabled,
+    deletionScheduledAt: user.deletion_scheduled_at,
+    createdAt: user.created_at,
+    updatedAt: user.updated_at
+  };
+}
+
+function validateDisplayName(value) {
+  if (typeof value !== 'string' || !value.trim() || value.trim().length > 100) {
+    return { error: 'displayName must be 1-100 characters' };
+  }
+  return { value: value.trim() };
+}
+
+function validateAvatarUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    return { error: 'avatarUrl must be a valid URL' };
+  }
+  if (!['https:', 'http:'].includes(url.protocol) || value.length > 1024) {
+    return { error: 'avatarUrl must be an http(s) URL of at most 1024 characters' };
+  }
+  return { value: url.toString() };
+}
+
+function validateLocale(value) {
+  try {
+    const [canonical] = Intl.getCanonicalLocales(value);
+    if (canonical && canonical.length <= 35) {
+      return { value: canonical };
+    }
+  } catch (err) {
+    // 非法语言标签
+  }
+  return { error: 'locale must be a valid BCP 47 language tag' };
+}
+
+function validateTimezone(value) {
+  try {
+    const timeZone = new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+    return { value: timeZone };
+  } catch (err) {
+    return { error: 'timezone must be a valid IANA time zone' };
+  }
+}
+
+// metadata 按键合并：值为 null 时删除该键
+function mergeMetadata(current, patch) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    return { error: 'metadata must be an object' };
+  }
+
+  const merged = { ...(current || {}) };
+  for (const [key, value] of Object.entries(patch)) {
+    if (!METADATA_KEY_PATTERN.test(key)) {
+      return { error: `invalid metadata key: ${key}` };
+    }
+    if (value === null) {
+      delete merged[key];
+      continue;
+    }
+    const type = typeof value;
+    if (!['string', 'number', 'boolean'].includes(type) ||
+        (type === 'number' && !Number.isFinite(value)) ||
+        (type === 'string' && value.length > METADATA_VALUE_MAX_LENGTH)) {
+      return { error: `metadata.${key} must be a string, number or boolean` };
+    }
+    merged[key] = value;
+  }
+
+  if (Object.keys(merged).length > config.profile.metadataMaxKeys) {
+    return { error: `metadata may have at most ${config.profile.metadataMaxKeys} keys` };
+  }
+  if (Buffer.byteLength(JSON.stringify(merged)) > config.profile.metadataMaxBytes) {
+    return { error: `metadata must be at most ${config.profile.metadataMaxBytes} bytes` };
+  }
+  return { value: merged };
+}
+
+// 可修改的资料字段：请求字段 -> [数据库字段, 校验函数]；值为 null 时清空
+const PROFILE_FIELDS = {
+  displayName: ['display_name', validateDisplayName],
+  avatarUrl: ['avatar_url', validateAvatarUrl],
+  locale: ['locale', validateLocale],
+  timezone: ['timezone', validateTimezone]
+};
+
+module.exports = (models) => {
+  const router = express.Router();
+  const User = models.User;
+
+  // Current user profile (authenticated)
+  router.get('/me', authMiddleware, requireScope('profile:read'), async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      return res.json(serializeProfile(user));
+    } catch (err) {
+      console.error('Get profile error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Update profile fields (authenticated); email and password have dedicated endpoints
+  router.patch('/me', authMiddleware, requireScope('profile:write'), async (req, res) => {
+    try {
+      const body = req.body || {};
+      const unknown = Object.keys(body).filter((k) => !PROFILE_FIELDS[k] && k !== 'metadata');
+      if (unknown.length > 0) {
+        return errorResponse(res, 400, `unknown or read-only fields: ${unknown.join(', ')}`);
+      }
+
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      const updates = {};
+      for (const [field, [column, validate]] of Object.entries(PROFILE_FIELDS)) {
+        if (body[field] === undefined) continue;
+        if (body[field] === null) {
+          updates[column] = null;
+          continue;
+        }
+        const result = validate(body[field]);
+        if (result.error) {
+          return errorResponse(res, 400, result.error);
+        }
+        updates[column] = result.value;
+      }
+
+      if (body.metadata !== undefined) {
+        const result = body.metadata === null ? { value: null } : mergeMetadata(user.metadata, body.metadata);
+        if (result.error) {
+          return errorResponse(res, 400, result.error);
+        }
+        updates.metadata = result.value;
+      }
+
+      Object.assign(user, updates);
+      await user.save();
+      return res.json(serializeProfile(user));
+    } catch (err) {
+      console.error('Update profile error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Export everything stored about the current user as a JSON archive (authenticated)
+  router.post('/me/export', authMiddleware, requireSession, rateLimit('dataExport'), async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      const data = await exportUserData(user);
+      res.set('Content-Disposition', `attachment; filename="account-export-${user.id}.json"`);
+      return res.json(data);
+    } catch (err) {
+      console.error('Export account error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // 当前会话是否刚通过免密方式登录（第三方创建的账户没有可用的本地密码）
+  async function recentlyReauthenticated(req) {
+    const session = await getSession(req.user.sid);
+    if (!session || !REAUTH_METHODS.includes(session.method)) {
+      return false;
+    }
+    const age = (Date.now() - Date.parse(session.createdAt)) / 1000;
+    return age <= config.accountDeletion.reauthSeconds;
+  }
+
+  // Schedule account deletion after the grace period
+  // (authenticated, password or a recent passwordless sign-in required)
+  router.delete('/me', authMiddleware, requireSession, rateLimit('passwordConfirm'), async (req, res) => {
+    try {
+      const { password } = req.body || {};
+
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      if (password) {
+        // 密码错误计入登录失败次数，与 /login 共用账户锁定
+        const lockRemaining = await loginLockRemaining(user.email);
+        if (lockRemaining) {
+          return tooManyRequests(res, lockRemaining, 'account temporarily locked');
+        }
+        const matched = await verifyPassword(password, user.password_hash);
+        if (!matched) {
+          const { locked, lockSeconds } = await recordLoginFailure(user.email);
+          if (locked) {
+            return tooManyRequests(res, lockSeconds, 'account temporarily locked');
+          }
+          return errorResponse(res, 400, 'password incorrect');
+        }
+      } else if (!(await recentlyReauthenticated(req))) {
+        return errorResponse(res, 403, 'password or recent sign-in required');
+      }
+
+      // 未配置宽限期时立即删除
+      if (config.accountDeletion.graceSeconds <= 0) {
+        await purgeUser(user);
+        return res.json({ ok: true, deleted: true });
+      }
+
+      // 重复申请不延长宽限期
+      if (!user.deletion_scheduled_at) {
+        user.deletion_scheduled_at = new Date(Date.now() + config.accountDeletion.graceSeconds * 1000);
+        await user.save();
+      }
+      return res.json({ ok: true, deletionScheduledAt: user.deletion_scheduled_at });
+    } catch (err) {
+      console.error('Delete account error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Recent security events of the current user, newest first (authenticated)
+  router.get('/me/security-events', authMiddleware, requireScope('profile:read'), async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const pageSize = Math.min(
+        Math.max(parseInt(req.query.pageSize, 10) || SECURITY_EVENTS_PAGE_SIZE, 1),
+        SECURITY_EVENTS_MAX_PAGE_SIZE
+      );
+
+      const { rows, count } = await models.AuditEvent.findAndCountAll({
+        where: { user_id: req.user.sub },
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit: pageSize,
+        offset: (page - 1) * pageSize
+      });
+
+      return res.json({
+        events: rows.map(serializeEvent),
+        page,
+        pageSize,
+        total: count
+      });
+    } catch (err) {
+      console.error('List security events error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Cancel a scheduled deletion during the grace period (authenticated)
+  router.post('/me/deletion/cancel', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      if (!user.deletion_scheduled_at) {
+        return errorResponse(res, 400, 'account deletion not scheduled');
+      }
+
+      user.deletion_scheduled_at = null;
+      await user.save();
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Cancel account deletion error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
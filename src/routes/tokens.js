@@ -0,0 +1,120 @@
+const express = require('express');
+const config = require('../config');
+const authMiddleware = require('../middleware/auth');
+const { requireSession } = require('../middleware/authorize');
+const { recordEvent } = require('../services/audit');
+const { availableScopes, createToken, serializeToken } = require('../services/personalAccessTokens');
+const { errorResponse } = require('./helpers');
+
+const NAME_MAX_LENGTH = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+module.exports = (models) => {
+  const router = express.Router();
+  const { PersonalAccessToken } = models;
+
+  // 令牌只能在登录会话中管理，不能用一个令牌创建或撤销另一个令牌
+  router.use('/tokens', authMiddleware, requireSession);
+
+  // Create a personal access token; the token is only returned once
+  router.post('/tokens', async (req, res) => {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+
+      if (typeof name !== 'string' || !name.trim()) {
+        return errorResponse(res, 400, 'name required');
+      }
+      if (name.trim().length > NAME_MAX_LENGTH) {
+        return errorResponse(res, 400, `name must be at most ${NAME_MAX_LENGTH} characters`);
+      }
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => typeof s !== 'string')) {
+        return errorResponse(res, 400, 'scopes must be a non-empty array of strings');
+      }
+
+      // 未指定有效期时永不过期；配置了有效期上限时必须指定
+      const maxTtlDays = config.personalAccessTokens.maxTtlDays;
+      let expiresAt = null;
+      if (expiresInDays !== undefined && expiresInDays !== null) {
+        if (!Number.isInteger(expiresInDays) || expiresInDays < 1) {
+          return errorResponse(res, 400, 'expiresInDays must be a positive integer');
+        }
+        if (maxTtlDays > 0 && expiresInDays > maxTtlDays) {
+          return errorResponse(res, 400, `expiresInDays must be at most ${maxTtlDays}`);
+        }
+        expiresAt = new Date(Date.now() + expiresInDays * DAY_MS);
+      } else if (maxTtlDays > 0) {
+        return errorResponse(res, 400, 'expiresInDays required');
+      }
+
+      const allowed = await availableScopes(req.user.sub);
+      const invalid = scopes.filter((s) => !allowed.includes(s));
+      if (invalid.length > 0) {
+        return errorResponse(res, 400, 'invalid scopes', { invalidScopes: invalid, availableScopes: allowed });
+      }
+
+      const count = await PersonalAccessToken.count({ where: { user_id: req.user.sub } });
+      if (count >= config.personalAccessTokens.maxPerUser) {
+        return errorResponse(res, 400, 'too many personal access tokens');
+      }
+
+      const { token, record } = await createToken(req.user.sub, {
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        expiresAt
+      });
+      await recordEvent(req, {
+        event: 'token.create',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { tokenId: record.id, name: record.name, scopes: record.scopes }
+      });
+      return res.status(201).json({ token, ...serializeToken(record) });
+    } catch (err) {
+      console.error('Create personal access token error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // List personal access tokens and the scopes available to new tokens
+  router.get('/tokens', async (req, res) => {
+    try {
+      const [tokens, scopes] = await Promise.all([
+        PersonalAccessToken.findAll({
+          where: { user_id: req.user.sub },
+          order: [['created_at', 'DESC']]
+        }),
+        availableScopes(req.user.sub)
+      ]);
+      return res.json({ tokens: tokens.map(serializeToken), availableScopes: scopes });
+    } catch (err) {
+      console.error('List personal access tokens error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Revoke a personal access token
+  router.delete('/tokens/:id', async (req, res) => {
+    try {
+      const deleted = await PersonalAccessToken.destroy({
+        where: { id: req.params.id, user_id: req.user.sub }
+      });
+      if (!deleted) {
+        return errorResponse(res, 404, 'token not found');
+      }
+      await recordEvent(req, {
+        event: 'token.revoke',
+        outcome: 'success',
+        userId: req.user.sub,
+        email: req.user.email,
+        details: { tokenId: Number(req.params.id) }
+      });
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('Revoke personal access token error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
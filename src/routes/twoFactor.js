@@ -0,0 +1,183 @@
+const express = require('express');
+const config = require('../config');
+const store = require('../storage');
+const authMiddleware = require('../middleware/auth');
+const { requireSession } = require('../middleware/authorize');
+const { rateLimit } = require('../middleware/rateLimit');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactor');
+const { verifyPassword } = require('../services/passwordHash');
+const { errorResponse } = require('./helpers');
+
+module.exports = (models) => {
+  const router = express.Router();
+  const User = models.User;
+
+  // 2FA status (authenticated)
+  router.get('/2fa', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      return res.json({
+        enabled: user.totp_enabled,
+        recoveryCodesRemaining: user.totp_enabled ? (user.recovery_codes || []).length : 0
+      });
+    } catch (err) {
+      console.error('2FA status error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Start TOTP enrollment — generate a pending secret
+  router.post('/2fa/totp/setup', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      if (user.totp_enabled) {
+        return errorResponse(res, 400, '2fa already enabled');
+      }
+
+      const { secret, otpauthUrl } = generateTotpSecret(user.email);
+
+      // 待确认的密钥存放在 Redis 中，确认前不影响登录
+      try {
+        await store.setEx(`totp_setup_${user.id}`, config.totp.setupTtl, secret);
+      } catch (redisErr) {
+        console.error('Redis error in TOTP setup:', redisErr.message);
+        return errorResponse(res, 500, 'Failed to start 2fa setup');
+      }
+
+      return res.json({ secret, otpauthUrl });
+    } catch (err) {
+      console.error('TOTP setup error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Confirm TOTP enrollment with the first code
+  router.post('/2fa/totp/confirm', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const { code } = req.body;
+      if (!code) {
+        return errorResponse(res, 400, 'code required');
+      }
+
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      if (user.totp_enabled) {
+        return errorResponse(res, 400, '2fa already enabled');
+      }
+
+      const key = `totp_setup_${user.id}`;
+      const secret = await store.get(key);
+      if (!secret) {
+        return errorResponse(res, 400, '2fa setup expired or not started');
+      }
+
+      const valid = await verifyTotp(user.id, secret, code);
+      if (!valid) {
+        return errorResponse(res, 400, 'invalid code');
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.totp_secret = secret;
+      user.totp_enabled = true;
+      user.recovery_codes = hashes;
+      await user.save();
+
+      try {
+        await store.del(key);
+      } catch (redisErr) {
+        console.error('Redis error deleting TOTP setup:', redisErr.message);
+      }
+
+      // 恢复码明文只在此处返回一次
+      return res.json({ ok: true, recoveryCodes: codes });
+    } catch (err) {
+      console.error('TOTP confirm error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Disable TOTP — requires password and a current code or recovery code
+  router.post('/2fa/totp/disable', authMiddleware, requireSession, rateLimit('passwordConfirm'), async (req, res) => {
+    try {
+      const { password, code, recoveryCode } = req.body;
+      if (!password || (!code && !recoveryCode)) {
+        return errorResponse(res, 400, 'password and code or recoveryCode required');
+      }
+
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      if (!user.totp_enabled) {
+        return errorResponse(res, 400, '2fa not enabled');
+      }
+
+      const matched = await verifyPassword(password, user.password_hash);
+      if (!matched) {
+        return errorResponse(res, 400, 'password incorrect');
+      }
+
+      const passed = await verifySecondFactor(user, { code, recoveryCode });
+      if (!passed) {
+        return errorResponse(res, 400, 'invalid code');
+      }
+
+      user.totp_secret = null;
+      user.totp_enabled = false;
+      user.recovery_codes = null;
+      await user.save();
+
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('TOTP disable error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Regenerate recovery codes — invalidates the previous set
+  router.post('/2fa/recovery-codes', authMiddleware, requireSession, rateLimit('passwordConfirm'), async (req, res) => {
+    try {
+      const { password } = req.body;
+      if (!password) {
+        return errorResponse(res, 400, 'password required');
+      }
+
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+      if (!user.totp_enabled) {
+        return errorResponse(res, 400, '2fa not enabled');
+      }
+
+      const matched = await verifyPassword(password, user.password_hash);
+      if (!matched) {
+        return errorResponse(res, 400, 'password incorrect');
+      }
+
+      const { codes, hashes } = generateRecoveryCodes();
+      user.recovery_codes = hashes;
+      await user.save();
+
+      return res.json({ recoveryCodes: codes });
+    } catch (err) {
+      console.error('Regenerate recovery codes error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
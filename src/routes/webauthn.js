@@ -0,0 +1,186 @@
+const express = require('express');
+const authMiddleware = require('../middleware/auth');
+const { requireSession } = require('../middleware/authorize');
+const { rateLimit } = require('../middleware/rateLimit');
+const { startSession } = require('../services/tokens');
+const { sessionMeta } = require('../services/sessions');
+const { recordEvent } = require('../services/audit');
+const { selectOrganization, requestedOrganizationSlug } = require('../services/organizations');
+const {
+  startRegistration,
+  finishRegistration,
+  startAuthentication,
+  takeAuthenticationChallenge,
+  finishAuthentication
+} = require('../services/webauthn');
+const { errorResponse } = require('./helpers');
+
+module.exports = (models) => {
+  const router = express.Router();
+  const { User, WebauthnCredential } = models;
+
+  // 返回给客户端的凭据信息（不包含公钥）
+  function serializeCredential(c) {
+    return {
+      id: c.id,
+      name: c.name,
+      deviceType: c.device_type,
+      backedUp: c.backed_up,
+      createdAt: c.created_at,
+      lastUsedAt: c.last_used_at
+    };
+  }
+
+  // Registration ceremony step 1 — creation options (authenticated)
+  router.post('/webauthn/register/options', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const user = await User.findByPk(req.user.sub);
+      if (!user) {
+        return errorResponse(res, 404, 'user not found');
+      }
+
+      const existing = await WebauthnCredential.findAll({ where: { user_id: user.id } });
+      const options = await startRegistration(user, existing);
+      return res.json(options);
+    } catch (err) {
+      console.error('WebAuthn register options error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Registration ceremony step 2 — verify attestation and store credential (authenticated)
+  router.post('/webauthn/register/verify', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const { response, name } = req.body;
+      if (!response || typeof response !== 'object') {
+        return errorResponse(res, 400, 'response required');
+      }
+
+      const info = await finishRegistration(req.user.sub, response);
+      if (!info) {
+        return errorResponse(res, 400, 'registration verification failed');
+      }
+
+      const credential = await WebauthnCredential.create({
+        ...info,
+        user_id: req.user.sub,
+        name: typeof name === 'string' ? name.trim().slice(0, 100) : null
+      });
+
+      return res.json({ ok: true, credential: serializeCredential(credential) });
+    } catch (err) {
+      if (err.name === 'SequelizeUniqueConstraintError') {
+        return errorResponse(res, 400, 'credential already registered');
+      }
+      console.error('WebAuthn register verify error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Authentication ceremony step 1 — request options
+  router.post('/webauthn/login/options', rateLimit('passkeyOptions'), async (req, res) => {
+    try {
+      const { challengeId, options } = await startAuthentication();
+      return res.json({ challengeId, options });
+    } catch (err) {
+      console.error('WebAuthn login options error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Authentication ceremony step 2 — verify assertion and issue tokens
+  router.post('/webauthn/login/verify', rateLimit('passkeyLogin'), async (req, res) => {
+    try {
+      const { challengeId, response } = req.body;
+      if (!challengeId || !response || typeof response !== 'object' || !response.id) {
+        return errorResponse(res, 400, 'challengeId and response required');
+      }
+
+      const challenge = await takeAuthenticationChallenge(challengeId);
+      if (!challenge) {
+        return errorResponse(res, 400, 'challenge expired or not found');
+      }
+
+      const credential = await WebauthnCredential.findOne({ where: { credential_id: response.id } });
+      if (!credential) {
+        return errorResponse(res, 400, 'authentication failed');
+      }
+
+      const result = await finishAuthentication(challenge, response, credential);
+      if (!result) {
+        return errorResponse(res, 400, 'authentication failed');
+      }
+
+      const user = await User.findByPk(credential.user_id);
+      if (!user) {
+        return errorResponse(res, 400, 'authentication failed');
+      }
+      if (!user.verified) {
+        return errorResponse(res, 403, 'email not verified');
+      }
+      if (user.disabled_at) {
+        await recordEvent(req, {
+          event: 'login',
+          outcome: 'failure',
+          userId: user.id,
+          email: user.email,
+          details: { method: 'passkey', reason: 'disabled' }
+        });
+        return errorResponse(res, 403, 'account disabled');
+      }
+
+      credential.counter = result.newCounter;
+      credential.last_used_at = new Date();
+      await credential.save();
+
+      const selected = await selectOrganization(user, 'passkey', requestedOrganizationSlug(req));
+      if (selected.error) {
+        return errorResponse(res, selected.status, selected.error);
+      }
+
+      // 通行密钥本身满足多因素要求（持有认证器 + 用户验证），不再要求 TOTP
+      const tokens = await startSession(user, {
+        ...sessionMeta(req),
+        method: 'passkey',
+        organizationId: selected.organizationId
+      });
+      await recordEvent(req, { event: 'login', outcome: 'success', userId: user.id, email: user.email, details: { method: 'passkey' } });
+      return res.json(tokens);
+    } catch (err) {
+      console.error('WebAuthn login verify error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // List registered passkeys (authenticated)
+  router.get('/webauthn/credentials', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const credentials = await WebauthnCredential.findAll({
+        where: { user_id: req.user.sub },
+        order: [['created_at', 'DESC']]
+      });
+      return res.json({ credentials: credentials.map(serializeCredential) });
+    } catch (err) {
+      console.error('WebAuthn list credentials error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  // Remove a passkey (authenticated)
+  router.delete('/webauthn/credentials/:id', authMiddleware, requireSession, async (req, res) => {
+    try {
+      const deleted = await WebauthnCredential.destroy({
+        where: { id: req.params.id, user_id: req.user.sub }
+      });
+      if (!deleted) {
+        return errorResponse(res, 404, 'credential not found');
+      }
+      return res.json({ ok: true });
+    } catch (err) {
+      console.error('WebAuthn delete credential error:', err);
+      return errorResponse(res, 500, 'internal server error');
+    }
+  });
+
+  return router;
+};
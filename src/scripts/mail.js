@@ -0,0 +1,42 @@
+// 查看发件队列的投递状态，管理死信邮件
+// 用法：npm run mail -- status <id>
+//       npm run mail -- dead [limit]
+//       npm run mail -- retry <id>
+const store = require('../storage');
+const { getMessageStatus, listDeadLetters, retryDeadLetter } = require('../mail/outbox');
+
+async function run([command, arg]) {
+  if (command === 'status' && arg) {
+    const status = await getMessageStatus(arg);
+    if (!status) {
+      throw new Error(`Message not found: ${arg}`);
+    }
+    console.log(JSON.stringify(status, null, 2));
+  } else if (command === 'dead') {
+    const messages = await listDeadLetters(parseInt(arg, 10) || 50);
+    if (messages.length === 0) {
+      console.log('Dead-letter list is empty');
+    }
+    for (const m of messages) {
+      console.log(`${m.id}  ${m.updatedAt}  ${m.template}  ${m.to}  attempts=${m.attempts}  ${m.lastError}`);
+    }
+  } else if (command === 'retry' && arg) {
+    if (!(await retryDeadLetter(arg))) {
+      throw new Error(`Message not in dead-letter list: ${arg}`);
+    }
+    console.log(`Message ${arg} queued for delivery`);
+  } else {
+    throw new Error('Usage: mail status <id> | mail dead [limit] | mail retry <id>');
+  }
+}
+
+(async () => {
+  try {
+    await run(process.argv.slice(2));
+    await store.quit();
+    process.exit(0);
+  } catch (err) {
+    console.error('Failed to manage mail outbox:', err.message);
+    process.exit(1);
+  }
+})();
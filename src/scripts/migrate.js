@@ -0,0 +1,37 @@
+// 数据库迁移
+// 用法：npm run migrate -- up [name]     执行所有未执行的迁移（或执行到 name 为止）
+//       npm run migrate -- down [steps]  回滚最近执行的 steps 个迁移（默认 1）
+//       npm run migrate -- status        查看迁移状态
+const { sequelize } = require('../db');
+const migrator = require('../migrator');
+
+async function run([command, arg]) {
+  if (command === 'up') {
+    const applied = await migrator.up(sequelize, { to: arg });
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : parseInt(arg, 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('steps must be a positive integer');
+    }
+    const reverted = await migrator.down(sequelize, { steps });
+    console.log(reverted.length ? `Reverted ${reverted.length} migration(s)` : 'No executed migrations');
+  } else if (command === 'status') {
+    for (const { name, executed } of await migrator.status(sequelize)) {
+      console.log(`${executed ? 'up  ' : 'down'}  ${name}`);
+    }
+  } else {
+    throw new Error('Usage: migrate <up [name] | down [steps] | status>');
+  }
+}
+
+(async () => {
+  try {
+    await run(process.argv.slice(2));
+    await sequelize.close();
+    process.exit(0);
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+  }
+})();
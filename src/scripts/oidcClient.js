@@ -0,0 +1,55 @@
+// 注册 OpenID Connect 客户端
+// 用法：npm run oidc:client -- --name "Admin Console" --redirect-uri https://admin.example.com/callback [--redirect-uri ...] [--public] [--trusted]
+const { sequelize, models } = require('../db');
+const { generateClientCredentials } = require('../services/oidc');
+
+function parseArgs(argv) {
+  const args = { redirectUris: [], public: false, trusted: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--name') {
+      args.name = argv[++i];
+    } else if (arg === '--redirect-uri') {
+      args.redirectUris.push(argv[++i]);
+    } else if (arg === '--public') {
+      args.public = true;
+    } else if (arg === '--trusted') {
+      args.trusted = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+  if (!args.name || args.redirectUris.length === 0) {
+    throw new Error('--name and at least one --redirect-uri are required');
+  }
+  for (const uri of args.redirectUris) {
+    new URL(uri); // 无效地址会抛出异常
+  }
+  return args;
+}
+
+(async () => {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const { clientId, clientSecret, clientSecretHash } = generateClientCredentials();
+
+    await models.OAuthClient.create({
+      client_id: clientId,
+      client_secret_hash: args.public ? null : clientSecretHash,
+      name: args.name,
+      redirect_uris: args.redirectUris,
+      trusted: args.trusted
+    });
+
+    console.log(`client_id:     ${clientId}`);
+    if (!args.public) {
+      console.log(`client_secret: ${clientSecret}`);
+      console.log('The client secret is shown only once, store it securely.');
+    }
+    await sequelize.close();
+    process.exit(0);
+  } catch (err) {
+    console.error('Failed to register client:', err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,38 @@
+// 管理用户角色（例如创建第一个管理员）
+// 用法：npm run roles -- grant user@example.com admin
+//       npm run roles -- revoke user@example.com admin
+//       npm run roles -- list user@example.com
+const { sequelize, models } = require('../db');
+const { getUserRoles, grantRole, revokeRole } = require('../services/roles');
+const { invalidateUserTokens } = require('../services/tokens');
+
+async function run([command, email, roleName]) {
+  if (!['grant', 'revoke', 'list'].includes(command) || !email || (command !== 'list' && !roleName)) {
+    throw new Error('Usage: roles <grant|revoke> <email> <role> | roles list <email>');
+  }
+
+  const user = await models.User.findOne({ where: { email: email.trim().toLowerCase() } });
+  if (!user) {
+    throw new Error(`User not found: ${email}`);
+  }
+
+  if (command === 'grant') {
+    await grantRole(user, roleName);
+  } else if (command === 'revoke') {
+    await revokeRole(user, roleName);
+    // 旧令牌中仍带有被移除的角色，使其立即失效
+    await invalidateUserTokens(user);
+  }
+  console.log(`${user.email}: ${(await getUserRoles(user.id)).join(', ') || '(no roles)'}`);
+}
+
+(async () => {
+  try {
+    await run(process.argv.slice(2));
+    await sequelize.close();
+    process.exit(0);
+  } catch (err) {
+    console.error('Failed to manage roles:', err.message);
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,171 @@
+const { Op } = require('sequelize');
+const store = require('../storage');
+const { models } = require('../db');
+const { listSessions, revokeAllSessions } = require('./sessions');
+const { revokeUserAccessTokens } = require('./oidc');
+const { getUserRoles } = require('./roles');
+
+// 后台清理到期注销账户的间隔
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// 每轮最多清理的账户数，其余留到下一轮
+const PURGE_BATCH_SIZE = 100;
+
+// 导出用户的全部数据；密码哈希、TOTP 密钥、恢复码等凭据只标明是否存在
+async function exportUserData(user) {
+  const [credentials, identities, consents, sessions, roles, events, accessTokens, memberships] = await Promise.all([
+    models.WebauthnCredential.findAll({ where: { user_id: user.id } }),
+    models.UserIdentity.findAll({ where: { user_id: user.id } }),
+    models.OAuthConsent.findAll({ where: { user_id: user.id } }),
+    listSessions(user.id),
+    getUserRoles(user.id),
+    models.AuditEvent.findAll({ where: { user_id: user.id }, order: [['created_at', 'DESC']] }),
+    models.PersonalAccessToken.findAll({ where: { user_id: user.id }, order: [['created_at', 'DESC']] }),
+    models.OrganizationMember.findAll({ where: { user_id: user.id }, include: [{ model: models.Organization }] })
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    account: {
+      id: user.id,
+      email: user.email,
+      verified: user.verified,
+      displayName: user.display_name,
+      avatarUrl: user.avatar_url,
+      locale: user.locale,
+      timezone: user.timezone,
+      metadata: user.metadata || {},
+      twoFactorEnabled: user.totp_enabled,
+      recoveryCodesRemaining: (user.recovery_codes || []).length,
+      roles,
+      deletionScheduledAt: user.deletion_scheduled_at,
+      createdAt: user.created_at,
+      updatedAt: user.updated_at
+    },
+    passkeys: credentials.map((c) => ({
+      name: c.name,
+      deviceType: c.device_type,
+      backedUp: c.backed_up,
+      transports: c.transports,
+      createdAt: c.created_at,
+      lastUsedAt: c.last_used_at
+    })),
+    identities: identities.map((i) => ({
+      provider: i.provider,
+      subject: i.subject,
+      email: i.email,
+      createdAt: i.created_at
+    })),
+    consents: consents.map((c) => ({
+      clientId: c.client_id,
+      scopes: c.scopes,
+      createdAt: c.created_at,
+      updatedAt: c.updated_at
+    })),
+    sessions: sessions.map((s) => ({
+      id: s.id,
+      userAgent: s.userAgent,
+      ip: s.ip,
+      createdAt: s.createdAt,
+      lastSeenAt: s.lastSeenAt
+    })),
+    personalAccessTokens: accessTokens.map((t) => ({
+      name: t.name,
+      scopes: t.scopes,
+      expiresAt: t.expires_at,
+      lastUsedAt: t.last_used_at,
+      createdAt: t.created_at
+    })),
+    organizations: memberships.map((m) => ({
+      slug: m.Organization.slug,
+      name: m.Organization.name,
+      role: m.role,
+      joinedAt: m.created_at
+    })),
+    securityEvents: events.map((e) => ({
+      event: e.event,
+      outcome: e.outcome,
+      ip: e.ip,
+      userAgent: e.user_agent,
+      details: e.details,
+      createdAt: e.created_at
+    }))
+  };
+}
+
+// 与用户相关的 Redis key（按邮箱或用户 ID 保存的验证码、锁定状态、待确认操作等）
+function userRedisKeys(user) {
+  const email = user.email;
+  return [
+    `verif_${email}`,
+    `verif_attempts_${email}`,
+    `verif_lock_${email}`,
+    `verif_cooldown_${email}`,
+    `verif_daily_${email}`,
+    `reset_${email}`,
+    `reset_attempts_${email}`,
+    `reset_lock_${email}`,
+    `login_fail_${email}`,
+    `login_lock_${email}`,
+    `login_lock_level_${email}`,
+    `totp_setup_${user.id}`,
+    `webauthn_reg_${user.id}`,
+    `email_change_${user.id}`,
+    `email_change_attempts_${user.id}`,
+    `email_change_lock_${user.id}`,
+    `email_change_cooldown_${user.id}`,
+    `email_change_daily_${user.id}`,
+    `user_sessions_${user.id}`
+  ];
+}
+
+// 永久删除账户：撤销所有会话和令牌，清理 Redis 数据，删除 users 行（关联表级联删除）
+// 审计记录保留：补上邮箱后解除与用户的关联
+async function purgeUser(user) {
+  await revokeAllSessions(user.id);
+  await revokeUserAccessTokens(user.id);
+  await store.del(userRedisKeys(user));
+  await models.AuditEvent.update({ email: user.email }, { where: { user_id: user.id, email: null } });
+  await models.AuditEvent.update({ user_id: null }, { where: { user_id: user.id } });
+  // 行删除后 authMiddleware 查不到用户，已签发的 access token 随之失效
+  await user.destroy();
+}
+
+// 清理宽限期已过的注销账户
+async function purgeDueAccounts() {
+  const users = await models.User.findAll({
+    where: { deletion_scheduled_at: { [Op.lte]: new Date() } },
+    limit: PURGE_BATCH_SIZE
+  });
+
+  for (const user of users) {
+    try {
+      await purgeUser(user);
+    } catch (err) {
+      console.error(`Account: Failed to purge user ${user.id}:`, err.message);
+    }
+  }
+  if (users.length > 0) {
+    console.log(`Account: Purged ${users.length} deleted account(s)`);
+  }
+  return users.length;
+}
+
+// 启动时立即清理一次到期的注销账户，之后定期清理
+function startAccountPurge() {
+  const purge = () => {
+    purgeDueAccounts().catch((err) => {
+      console.error('Account: Purge failed:', err.message);
+    });
+  };
+  purge();
+  const timer = setInterval(purge, PURGE_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  exportUserData,
+  purgeUser,
+  purgeDueAccounts,
+  startAccountPurge
+};
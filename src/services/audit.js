@@ -0,0 +1,72 @@
+const { Op } = require('sequelize');
+const config = require('../config');
+const { models } = require('../db');
+const { sessionMeta } = require('./sessions');
+
+// 后台清理过期审计记录的间隔
+const RETENTION_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// 记录一条审计事件；写入失败只记录日志，不影响业务请求
+// event 例如 'login'，outcome 为 'success' 或 'failure'，details 为附加信息（如失败原因）
+async function recordEvent(req, { event, outcome, userId = null, email = null, details = null }) {
+  try {
+    const { ip, userAgent } = sessionMeta(req);
+    await models.AuditEvent.create({
+      user_id: userId,
+      event,
+      outcome,
+      email,
+      ip,
+      user_agent: userAgent,
+      details
+    });
+  } catch (err) {
+    console.error(`Audit: Failed to record ${event} event:`, err.message);
+  }
+}
+
+// 返回给客户端的审计事件
+function serializeEvent(e) {
+  return {
+    id: e.id,
+    userId: e.user_id,
+    event: e.event,
+    outcome: e.outcome,
+    email: e.email,
+    ip: e.ip,
+    userAgent: e.user_agent,
+    details: e.details,
+    createdAt: e.created_at
+  };
+}
+
+// 删除超过保留期的审计记录
+async function purgeExpiredEvents() {
+  const cutoff = new Date(Date.now() - config.audit.retentionDays * 24 * 60 * 60 * 1000);
+  const deleted = await models.AuditEvent.destroy({ where: { created_at: { [Op.lt]: cutoff } } });
+  if (deleted > 0) {
+    console.log(`Audit: Purged ${deleted} expired event(s)`);
+  }
+  return deleted;
+}
+
+// 启动时立即清理一次过期审计记录，之后每天一次
+// （实例的运行时间可能短于清理间隔，只靠定时器会一直不执行）
+function startAuditRetention() {
+  const purge = () => {
+    purgeExpiredEvents().catch((err) => {
+      console.error('Audit: Retention purge failed:', err.message);
+    });
+  };
+  purge();
+  const timer = setInterval(purge, RETENTION_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  recordEvent,
+  serializeEvent,
+  purgeExpiredEvents,
+  startAuditRetention
+};
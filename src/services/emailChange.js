@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../storage');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// 待确认的邮箱修改，每个用户同时只有一个，key 与 lockout 的 kind 约定一致：`email_change_${userId}`
+function pendingKey(userId) {
+  return `email_change_${userId}`;
+}
+
+// 创建待确认的邮箱修改，覆盖之前未确认的修改
+async function createEmailChange(userId, newEmail, code) {
+  await store.setEx(
+    pendingKey(userId),
+    config.emailChange.codeTtl,
+    JSON.stringify({ newEmail, code })
+  );
+}
+
+async function getEmailChange(userId) {
+  const raw = await store.get(pendingKey(userId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function cancelEmailChange(userId) {
+  await store.del(pendingKey(userId));
+}
+
+// 发往旧邮箱的“不是我本人操作”撤销令牌，在修改确认后一段时间内仍然有效
+async function createRevertToken(userId, oldEmail, newEmail) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await store.setEx(
+    `email_revert_${sha256(token)}`,
+    config.emailChange.revertTtl,
+    JSON.stringify({ userId, oldEmail, newEmail })
+  );
+  return token;
+}
+
+// 兑换撤销令牌，只能使用一次；无效或已使用时返回 null
+async function consumeRevertToken(token) {
+  const key = `email_revert_${sha256(token)}`;
+  const raw = await store.get(key);
+  if (!raw || !(await store.del(key))) {
+    return null;
+  }
+  return JSON.parse(raw);
+}
+
+// 邮箱变更后，作废按旧邮箱保存的注册验证码和重置验证码
+async function invalidateEmailCodes(email) {
+  await store.del([
+    `verif_${email}`,
+    `reset_${email}`,
+    `verif_attempts_${email}`,
+    `reset_attempts_${email}`
+  ]);
+}
+
+module.exports = {
+  createEmailChange,
+  getEmailChange,
+  cancelEmailChange,
+  createRevertToken,
+  consumeRevertToken,
+  invalidateEmailCodes
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { models } = require('../db');
+const { canGrantRole, grantRole } = require('./roles');
+const { hashPassword } = require('./passwordHash');
+const { organizationSender } = require('./organizations');
+const { sendInvitation } = require('../mail/mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isExpired(invitation) {
+  return new Date(invitation.expires_at).getTime() <= Date.now();
+}
+
+// 邀请有效期：未指定时使用默认天数；返回 { expiresAt } 或 { error }
+function invitationExpiry(expiresInDays) {
+  const { ttlDays, maxTtlDays } = config.invitations;
+  if (expiresInDays === undefined || expiresInDays === null) {
+    return { expiresAt: new Date(Date.now() + ttlDays * DAY_MS) };
+  }
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > maxTtlDays) {
+    return { error: `expiresInDays must be an integer between 1 and ${maxTtlDays}` };
+  }
+  return { expiresAt: new Date(Date.now() + expiresInDays * DAY_MS) };
+}
+
+// 同一邮箱在同一范围（组织或管理员邀请）内未接受的邀请；已过期的直接删除
+async function findPendingDuplicate(email, organizationId) {
+  const existing = await models.Invitation.findOne({
+    where: { email, organization_id: organizationId || null, accepted_at: null }
+  });
+  if (existing && isExpired(existing)) {
+    await existing.destroy();
+    return null;
+  }
+  return existing;
+}
+
+// 创建邀请，返回明文令牌（只出现在邮件链接中）和数据库记录
+async function createInvitation({ email, organizationId, role, invitedBy, expiresAt }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invitation = await models.Invitation.create({
+    email,
+    organization_id: organizationId || null,
+    role: role || null,
+    token_hash: hashToken(token),
+    invited_by: invitedBy || null,
+    expires_at: expiresAt,
+    accepted_at: null
+  });
+  return { token, invitation };
+}
+
+// 重新发送前生成新令牌（旧链接随之失效）并更新有效期
+async function renewInvitation(invitation, expiresAt) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  invitation.token_hash = hashToken(token);
+  invitation.expires_at = expiresAt;
+  await invitation.save();
+  return token;
+}
+
+function invitationUrl(token) {
+  return `${config.appUrl}/invitations/accept?token=${encodeURIComponent(token)}`;
+}
+
+// 发送邀请邮件；组织邀请使用组织的发件设置，邮件中显示组织名称
+async function sendInvitationEmail(invitation, token, { inviter, locale }) {
+  const org = invitation.organization_id
+    ? await models.Organization.findByPk(invitation.organization_id)
+    : null;
+  return sendInvitation(invitation.email, invitationUrl(token), {
+    inviter: inviter.display_name || inviter.email,
+    teamName: org ? org.name : null,
+    expiresAt: invitation.expires_at
+  }, locale, organizationSender(org));
+}
+
+// 按明文令牌查找未接受且未过期的邀请，否则返回 null
+async function findPendingInvitation(token) {
+  if (typeof token !== 'string' || !token) return null;
+  const invitation = await models.Invitation.findOne({
+    where: { token_hash: hashToken(token) },
+    include: [{ model: models.Organization }]
+  });
+  if (!invitation || invitation.accepted_at || isExpired(invitation)) {
+    return null;
+  }
+  return invitation;
+}
+
+// 邀请者现在是否仍能授予邀请中的角色（发出邀请后可能被降级或移出组织）
+async function inviterCanGrant(invitation, transaction) {
+  if (!invitation.role) return true;
+  if (!invitation.invited_by) return false;
+  if (invitation.organization_id) {
+    const inviter = await models.OrganizationMember.findOne({
+      where: { organization_id: invitation.organization_id, user_id: invitation.invited_by },
+      transaction
+    });
+    if (!inviter) return false;
+    return inviter.role === 'owner' || (inviter.role === 'admin' && invitation.role !== 'owner');
+  }
+  return canGrantRole(invitation.invited_by, invitation.role);
+}
+
+// 接受邀请：在一个事务中标记邀请已接受、创建已验证的账户（或使用已有账户）、加入组织或授予角色
+// 返回 { user, created }；邀请已被并发接受时返回 null，邀请者已无权授予该角色时返回 { error }
+// 没有账户或账户未验证时需要 password，由调用方先按密码策略校验
+async function acceptInvitation(invitation, { password } = {}) {
+  const transaction = await models.Invitation.sequelize.transaction();
+  try {
+    const [marked] = await models.Invitation.update(
+      { accepted_at: new Date() },
+      { where: { id: invitation.id, accepted_at: null }, transaction }
+    );
+    if (!marked) {
+      await transaction.rollback();
+      return null;
+    }
+    if (!(await inviterCanGrant(invitation, transaction))) {
+      await transaction.rollback();
+      return { error: 'inviter can no longer grant this role' };
+    }
+
+    let user = await models.User.findOne({ where: { email: invitation.email }, transaction });
+    let created = false;
+    if (!user) {
+      user = await models.User.create(
+        { email: invitation.email, password_hash: await hashPassword(password), verified: true },
+        { transaction }
+      );
+      created = true;
+    } else if (!user.verified) {
+      // 未验证的账户可能是他人用这个邮箱注册的；邀请链接证明了邮箱归属，改用这里设置的密码
+      user.password_hash = await hashPassword(password);
+      user.verified = true;
+      await user.save({ transaction });
+    }
+
+    if (invitation.organization_id) {
+      // 已是成员时保留原有角色
+      await models.OrganizationMember.findOrCreate({
+        where: { organization_id: invitation.organization_id, user_id: user.id },
+        defaults: { role: invitation.role },
+        transaction
+      });
+    } else if (invitation.role) {
+      await grantRole(user, invitation.role, { transaction });
+    }
+
+    await transaction.commit();
+    return { user, created };
+  } catch (err) {
+    await transaction.rollback();
+    throw err;
+  }
+}
+
+// 返回给管理端的邀请信息（不包含令牌哈希）
+function serializeInvitation(invitation) {
+  let status = 'pending';
+  if (invitation.accepted_at) status = 'accepted';
+  else if (isExpired(invitation)) status = 'expired';
+  return {
+    id: invitation.id,
+    email: invitation.email,
+    organizationId: invitation.organization_id,
+    role: invitation.role,
+    status,
+    invitedBy: invitation.invited_by,
+    expiresAt: invitation.expires_at,
+    acceptedAt: invitation.accepted_at,
+    createdAt: invitation.created_at
+  };
+}
+
+module.exports = {
+  invitationExpiry,
+  findPendingDuplicate,
+  createInvitation,
+  renewInvitation,
+  sendInvitationEmail,
+  findPendingInvitation,
+  acceptInvitation,
+  serializeInvitation
+};
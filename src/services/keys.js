@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const config = require('../config');
+const { models } = require('../db');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+// 内存中密钥缓存的刷新间隔，使其他实例轮换出的新密钥能及时生效
+const CACHE_TTL_MS = 60 * 1000;
+// 后台检查是否需要轮换的间隔
+const ROTATION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+let cache = { keys: [], loadedAt: 0 };
+
+// 将 '15m'、'1h'、'1d' 或秒数转换为秒
+function durationSeconds(value) {
+  if (typeof value === 'number') return value;
+  const match = /^(\d+)\s*(s|m|h|d)?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value}`);
+  }
+  const unit = { s: 1, m: 60, h: 3600, d: 86400 }[match[2] || 's'];
+  return parseInt(match[1], 10) * unit;
+}
+
+// 退役密钥需要保留到它签发的令牌全部过期：取所有令牌有效期中的最大值
+function retentionSeconds() {
+  return Math.max(
+    durationSeconds(config.jwtExpiresIn),
+    config.oidc.accessTokenTtl,
+    config.oidc.idTokenTtl
+  );
+}
+
+function generateKeyPair(alg) {
+  if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported JWT_ALGORITHM: ${alg}`);
+  }
+  const { privateKey, publicKey } = alg === 'RS256'
+    ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  return {
+    kid: crypto.randomBytes(12).toString('base64url'),
+    alg,
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    public_key: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+}
+
+async function loadKeys() {
+  const now = new Date();
+  const keys = await models.SigningKey.findAll({
+    where: {
+      [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: now } }]
+    },
+    order: [['created_at', 'DESC'], ['id', 'DESC']]
+  });
+  cache = { keys, loadedAt: Date.now() };
+  return keys;
+}
+
+async function getKeys({ refresh = false } = {}) {
+  if (refresh || Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    return loadKeys();
+  }
+  return cache.keys;
+}
+
+// 确保存在未过期的签名密钥：没有密钥或当前密钥超过轮换周期时生成新密钥，旧密钥退役
+async function ensureActiveKey() {
+  const SigningKey = models.SigningKey;
+  const transaction = await SigningKey.sequelize.transaction();
+  try {
+    // 锁定当前密钥，避免多个实例同时轮换
+    const current = await SigningKey.findOne({
+      where: { retired_at: null },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const age = current ? (Date.now() - current.created_at.getTime()) / 1000 : Infinity;
+    if (current && age < config.jwt.keyRotationSeconds && current.alg === config.jwt.algorithm) {
+      await transaction.commit();
+      return;
+    }
+
+    const created = await SigningKey.create(generateKeyPair(config.jwt.algorithm), { transaction });
+
+    if (current) {
+      const now = new Date();
+      await SigningKey.update({
+        retired_at: now,
+        expires_at: new Date(now.getTime() + retentionSeconds() * 1000)
+      }, {
+        where: { retired_at: null, id: { [Op.ne]: created.id } },
+        transaction
+      });
+    }
+
+    // 清理已经无法验证任何有效令牌的密钥
+    await SigningKey.destroy({ where: { expires_at: { [Op.lte]: new Date() } }, transaction });
+
+    await transaction.commit();
+    console.log('JWT: Signing key rotated');
+  } catch (err) {
+    await transaction.rollback();
+    throw err;
+  } finally {
+    await loadKeys().catch(() => {});
+  }
+}
+
+// 定期检查并轮换签名密钥
+function startKeyRotation() {
+  const timer = setInterval(() => {
+    ensureActiveKey().catch((err) => {
+      console.error('JWT: Key rotation failed:', err.message);
+    });
+  }, ROTATION_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+async function getSigningKey() {
+  let keys = await getKeys();
+  let key = keys.find((k) => !k.retired_at);
+  if (!key) {
+    await ensureActiveKey();
+    keys = await getKeys();
+    key = keys.find((k) => !k.retired_at);
+  }
+  if (!key) {
+    throw new Error('No active signing key');
+  }
+  return key;
+}
+
+// 使用当前签名密钥签发 JWT，头部带 kid
+async function signJwt(payload, options = {}) {
+  const key = await getSigningKey();
+  return jwt.sign(payload, key.private_key, { ...options, algorithm: key.alg, keyid: key.kid });
+}
+
+// 按 kid 选择验证密钥；不带 kid 的旧令牌在过渡期内用 JWT_SECRET 验证
+// 失败时抛出 jsonwebtoken 的 JsonWebTokenError / TokenExpiredError
+async function verifyJwt(token, options = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.header) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decoded.header;
+  if (!kid) {
+    if (!config.jwt.acceptLegacyHs256) {
+      throw new jwt.JsonWebTokenError('missing key id');
+    }
+    return jwt.verify(token, config.jwtSecret, { ...options, algorithms: ['HS256'] });
+  }
+
+  let key = (await getKeys()).find((k) => k.kid === kid);
+  if (!key) {
+    // 可能是其他实例刚轮换出的新密钥
+    key = (await getKeys({ refresh: true })).find((k) => k.kid === kid);
+  }
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown key id');
+  }
+
+  return jwt.verify(token, key.public_key, { ...options, algorithms: [key.alg] });
+}
+
+// 发布所有未过期密钥（包括已退役但仍用于验证的）的公钥
+async function getJwks() {
+  const keys = await getKeys();
+  return {
+    keys: keys.map((k) => ({
+      ...crypto.createPublicKey(k.public_key).export({ format: 'jwk' }),
+      kid: k.kid,
+      alg: k.alg,
+      use: 'sig'
+    }))
+  };
+}
+
+module.exports = {
+  ensureActiveKey,
+  startKeyRotation,
+  signJwt,
+  verifyJwt,
+  getJwks
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../storage');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// ---- 验证码错误次数锁定 ----
+// kind 为 'verif' 或 'reset'，与验证码的 key 前缀一致
+
+// 返回验证码锁定的剩余秒数，未锁定时返回 0
+async function codeLockRemaining(kind, email) {
+  const ttl = await store.ttl(`${kind}_lock_${email}`);
+  return ttl > 0 ? ttl : 0;
+}
+
+// 记录一次验证码错误，达到上限时作废验证码并锁定，返回锁定秒数（未锁定时返回 0）
+async function recordCodeFailure(kind, email, codeTtl) {
+  const attemptsKey = `${kind}_attempts_${email}`;
+  const attempts = await store.incr(attemptsKey);
+  await store.expire(attemptsKey, codeTtl);
+
+  if (attempts < config.lockout.codeMaxAttempts) {
+    return 0;
+  }
+
+  await store.setEx(`${kind}_lock_${email}`, codeTtl, '1');
+  await store.del([`${kind}_${email}`, attemptsKey]);
+  return codeTtl;
+}
+
+// 重新发送验证码或验证成功时清除错误计数和锁定
+async function clearCodeFailures(kind, email) {
+  await store.del([`${kind}_attempts_${email}`, `${kind}_lock_${email}`]);
+}
+
+// ---- 验证码发送冷却 ----
+
+// 占用一次发送配额：同一邮箱两次发送之间需要冷却，且每天有上限
+// 返回需要等待的秒数，可以发送时返回 0
+async function reserveCodeSend(kind, email) {
+  const cooldownKey = `${kind}_cooldown_${email}`;
+  const cooldown = await store.ttl(cooldownKey);
+  if (cooldown > 0) {
+    return cooldown;
+  }
+
+  const dailyKey = `${kind}_daily_${email}`;
+  const sent = parseInt(await store.get(dailyKey) || '0', 10);
+  if (sent >= config.codeSend.dailyLimit) {
+    const ttl = await store.ttl(dailyKey);
+    return ttl > 0 ? ttl : 1;
+  }
+
+  await store.setEx(cooldownKey, config.codeSend.cooldownSeconds, '1');
+  const count = await store.incr(dailyKey);
+  if (count === 1) {
+    await store.expire(dailyKey, 86400);
+  }
+  return 0;
+}
+
+// ---- 登录失败渐进式锁定 ----
+
+// 返回账户锁定的剩余秒数，未锁定时返回 0
+async function loginLockRemaining(email) {
+  const ttl = await store.ttl(`login_lock_${email}`);
+  return ttl > 0 ? ttl : 0;
+}
+
+// 记录一次登录失败；连续失败达到阈值时锁定账户，每次锁定时长翻倍
+// 返回 { locked, lockSeconds }
+async function recordLoginFailure(email) {
+  const failKey = `login_fail_${email}`;
+  const failures = await store.incr(failKey);
+  await store.expire(failKey, config.lockout.failureWindowSeconds);
+
+  if (failures < config.lockout.maxFailures) {
+    return { locked: false, lockSeconds: 0 };
+  }
+
+  const levelKey = `login_lock_level_${email}`;
+  const level = await store.incr(levelKey);
+  await store.expire(levelKey, config.lockout.levelResetSeconds);
+
+  const lockSeconds = Math.min(
+    config.lockout.baseLockSeconds * Math.pow(2, level - 1),
+    config.lockout.maxLockSeconds
+  );
+  await store.setEx(`login_lock_${email}`, lockSeconds, '1');
+  await store.del(failKey);
+  return { locked: true, lockSeconds };
+}
+
+async function clearLoginFailures(email) {
+  await store.del(`login_fail_${email}`);
+}
+
+// 生成解锁令牌（通过邮件发送），令牌在锁定期间有效
+async function createUnlockToken(email, ttl) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await store.setEx(`unlock_${sha256(token)}`, ttl, email);
+  return token;
+}
+
+// 使用解锁令牌解除锁定并重置锁定级别，返回对应邮箱（令牌无效时返回 null）
+async function unlockWithToken(token) {
+  const key = `unlock_${sha256(token)}`;
+  const email = await store.get(key);
+  if (!email) {
+    return null;
+  }
+  await store.del([
+    key,
+    `login_lock_${email}`,
+    `login_fail_${email}`,
+    `login_lock_level_${email}`
+  ]);
+  return email;
+}
+
+module.exports = {
+  codeLockRemaining,
+  recordCodeFailure,
+  clearCodeFailures,
+  reserveCodeSend,
+  loginLockRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+  createUnlockToken,
+  unlockWithToken
+};
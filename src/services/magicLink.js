@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../storage');
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// 生成免密登录令牌，Redis 中只保存其哈希
+async function createMagicLinkToken(user) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await store.setEx(
+    `magic_${sha256(token)}`,
+    config.magicLink.ttl,
+    JSON.stringify({ userId: user.id, email: user.email })
+  );
+  return token;
+}
+
+// 兑换免密登录令牌，只能使用一次；无效或已使用时返回 null
+async function consumeMagicLinkToken(token) {
+  const key = `magic_${sha256(token)}`;
+  const raw = await store.get(key);
+  // del 返回删除的数量，并发兑换同一令牌时只有一个请求能成功
+  if (!raw || !(await store.del(key))) {
+    return null;
+  }
+  return JSON.parse(raw);
+}
+
+module.exports = {
+  createMagicLinkToken,
+  consumeMagicLinkToken
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../storage');
+
+// 常用提供方的预置端点，配置中只需提供 name、clientId、clientSecret
+const PRESETS = {
+  github: {
+    authorizationUrl: 'https://github.com/login/oauth/authorize',
+    tokenUrl: 'https://github.com/login/oauth/access_token',
+    userinfoUrl: 'https://api.github.com/user',
+    emailsUrl: 'https://api.github.com/user/emails',
+    scope: 'read:user user:email'
+  },
+  google: {
+    authorizationUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+    tokenUrl: 'https://oauth2.googleapis.com/token',
+    userinfoUrl: 'https://openidconnect.googleapis.com/v1/userinfo',
+    scope: 'openid email profile'
+  }
+};
+
+// 按名称获取提供方配置（预置端点 + 自定义配置），未配置时返回 null
+function getProvider(name) {
+  const custom = config.oauth.providers.find((p) => p.name === name);
+  if (!custom) {
+    return null;
+  }
+  const provider = { scope: 'openid email profile', ...PRESETS[name], ...custom };
+  if (!provider.authorizationUrl || !provider.tokenUrl || !provider.userinfoUrl) {
+    throw new Error(`OAuth provider ${name} is missing authorizationUrl, tokenUrl or userinfoUrl`);
+  }
+  return provider;
+}
+
+function callbackUrl(provider) {
+  return `${config.publicUrl}/api/auth/oauth/${encodeURIComponent(provider.name)}/callback`;
+}
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(nonce).digest('hex');
+}
+
+// 生成授权地址，返回 { url, nonce }；state 和 PKCE code_verifier 保存在 Redis 中
+// nonce 写入发起方浏览器的 cookie，回调时必须一致，防止把他人的 state 塞给受害者（登录 CSRF）
+// linkUserId 不为空时表示已登录用户绑定第三方身份；organization 为登录后选择的组织标识
+async function createAuthorizationUrl(provider, { linkUserId, organization } = {}) {
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(32).toString('base64url');
+  const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+  await store.setEx(
+    `oauth_state_${state}`,
+    config.oauth.stateTtl,
+    JSON.stringify({
+      provider: provider.name,
+      codeVerifier,
+      nonceHash: hashNonce(nonce),
+      linkUserId: linkUserId || null,
+      organization: organization || null
+    })
+  );
+
+  const url = new URL(provider.authorizationUrl);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', callbackUrl(provider));
+  url.searchParams.set('scope', provider.scope);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return { url: url.toString(), nonce };
+}
+
+// 回调请求携带的 cookie nonce 是否属于该 state
+function stateMatchesNonce(saved, nonce) {
+  if (!nonce || !saved.nonceHash) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(hashNonce(nonce)), Buffer.from(saved.nonceHash));
+}
+
+// 读取并作废 state，provider 不匹配时视为无效
+async function takeState(state, providerName) {
+  const key = `oauth_state_${state}`;
+  const raw = await store.get(key);
+  if (!raw) {
+    return null;
+  }
+  await store.del(key);
+
+  const data = JSON.parse(raw);
+  return data.provider === providerName ? data : null;
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: 'application/json', ...(options && options.headers) }
+  });
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    throw new Error(`OAuth request to ${url} failed with status ${response.status}`);
+  }
+  return body;
+}
+
+// 用授权码换取上游 access token
+async function exchangeCode(provider, code, codeVerifier) {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: callbackUrl(provider),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier
+  });
+  if (provider.clientSecret) {
+    params.set('client_secret', provider.clientSecret);
+  }
+
+  const body = await fetchJson(provider.tokenUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: params.toString()
+  });
+  if (!body.access_token) {
+    throw new Error(`OAuth provider ${provider.name} did not return an access_token`);
+  }
+  return body.access_token;
+}
+
+// 获取上游用户资料并归一化为 { subject, email, emailVerified }
+async function fetchProfile(provider, accessToken) {
+  const headers = { Authorization: `Bearer ${accessToken}` };
+  const profile = await fetchJson(provider.userinfoUrl, { headers });
+
+  const subject = profile.sub !== undefined ? profile.sub : profile.id;
+  let email = profile.email ? String(profile.email).trim().toLowerCase() : null;
+  // trustEmail：提供方不返回 email_verified 但保证邮箱已验证时可开启
+  let emailVerified = profile.email_verified === true || profile.email_verified === 'true' ||
+    Boolean(provider.trustEmail && email);
+
+  // GitHub 等提供方需要单独查询已验证的主邮箱
+  if (provider.emailsUrl) {
+    const emails = await fetchJson(provider.emailsUrl, { headers });
+    const primary = Array.isArray(emails) && emails.find((e) => e.primary && e.verified);
+    if (primary) {
+      email = String(primary.email).trim().toLowerCase();
+      emailVerified = true;
+    }
+  }
+
+  if (subject === undefined || subject === null) {
+    throw new Error(`OAuth provider ${provider.name} did not return a subject`);
+  }
+
+  return { subject: String(subject), email, emailVerified };
+}
+
+module.exports = {
+  getProvider,
+  createAuthorizationUrl,
+  takeState,
+  stateMatchesNonce,
+  exchangeCode,
+  fetchProfile
+};
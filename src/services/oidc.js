@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const config = require('../config');
+const store = require('../storage');
+const { signJwt } = require('./keys');
+
+const SUPPORTED_SCOPES = ['openid', 'email'];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// 生成客户端凭据；密钥明文只在创建时返回，数据库中只保存哈希
+function generateClientCredentials() {
+  const clientSecret = randomToken(32);
+  return {
+    clientId: randomToken(16),
+    clientSecret,
+    clientSecretHash: sha256(clientSecret)
+  };
+}
+
+function verifyClientSecret(client, clientSecret) {
+  if (!client.client_secret_hash || !clientSecret) {
+    return false;
+  }
+  const expected = Buffer.from(client.client_secret_hash, 'hex');
+  const actual = Buffer.from(sha256(clientSecret), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// 解析并校验 scope，返回去重后的列表；包含不支持的 scope 或缺少 openid 时返回 null
+function parseScopes(scope) {
+  const scopes = [...new Set(String(scope || '').split(' ').filter(Boolean))];
+  if (!scopes.includes('openid') || scopes.some((s) => !SUPPORTED_SCOPES.includes(s))) {
+    return null;
+  }
+  return scopes;
+}
+
+function verifyPkce(codeVerifier, codeChallenge) {
+  if (!codeVerifier || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+    return false;
+  }
+  const computed = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  return computed === codeChallenge;
+}
+
+// 授权请求在用户登录并确认前保存在 Redis 中
+async function saveAuthorizationRequest(request) {
+  const requestId = randomToken(24);
+  await store.setEx(`oidc_req_${requestId}`, config.oidc.requestTtl, JSON.stringify(request));
+  return requestId;
+}
+
+async function getAuthorizationRequest(requestId) {
+  const raw = await store.get(`oidc_req_${requestId}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function deleteAuthorizationRequest(requestId) {
+  await store.del(`oidc_req_${requestId}`);
+}
+
+// 授权码：短期有效、只能使用一次
+async function createAuthorizationCode(data) {
+  const code = randomToken(32);
+  await store.setEx(`oidc_code_${sha256(code)}`, config.oidc.codeTtl, JSON.stringify(data));
+  return code;
+}
+
+async function consumeAuthorizationCode(code) {
+  const key = `oidc_code_${sha256(code)}`;
+  const raw = await store.get(key);
+  // del 返回删除的数量，并发兑换同一授权码时只有一个请求能成功
+  if (!raw || !(await store.del(key))) {
+    return null;
+  }
+  return JSON.parse(raw);
+}
+
+function userAccessTokensKey(userId) {
+  return `user_oidc_tokens_${userId}`;
+}
+
+// 颁发给客户端的 access token 为不透明令牌，只能用于 /userinfo
+// 按用户记录令牌哈希，修改密码、禁用账户等操作时可一并撤销
+async function createAccessToken(data) {
+  const token = randomToken(32);
+  const hash = sha256(token);
+  await store.setEx(`oidc_at_${hash}`, config.oidc.accessTokenTtl, JSON.stringify(data));
+  await store.sAdd(userAccessTokensKey(data.userId), hash);
+  await store.expire(userAccessTokensKey(data.userId), config.oidc.accessTokenTtl);
+  return token;
+}
+
+// 撤销颁发给用户的所有 access token
+async function revokeUserAccessTokens(userId) {
+  const hashes = await store.sMembers(userAccessTokensKey(userId));
+  if (hashes.length > 0) {
+    await store.del(hashes.map((hash) => `oidc_at_${hash}`));
+  }
+  await store.del(userAccessTokensKey(userId));
+}
+
+async function getAccessToken(token) {
+  const raw = await store.get(`oidc_at_${sha256(token)}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+async function signIdToken({ user, clientId, nonce, authTime }) {
+  const payload = {
+    sub: String(user.id),
+    email: user.email,
+    email_verified: user.verified,
+    auth_time: authTime
+  };
+  if (nonce) {
+    payload.nonce = nonce;
+  }
+  return signJwt(payload, {
+    issuer: config.publicUrl,
+    audience: clientId,
+    expiresIn: config.oidc.idTokenTtl
+  });
+}
+
+// 按 scope 返回用户声明
+function userClaims(user, scopes) {
+  const claims = { sub: String(user.id) };
+  if (scopes.includes('email')) {
+    claims.email = user.email;
+    claims.email_verified = user.verified;
+  }
+  return claims;
+}
+
+function discoveryDocument() {
+  const issuer = config.publicUrl;
+  return {
+    issuer,
+    authorization_endpoint: `${issuer}/authorize`,
+    token_endpoint: `${issuer}/token`,
+    userinfo_endpoint: `${issuer}/userinfo`,
+    response_types_supported: ['code'],
+    grant_types_supported: ['authorization_code'],
+    subject_types_supported: ['public'],
+    jwks_uri: `${issuer}/.well-known/jwks.json`,
+    id_token_signing_alg_values_supported: [config.jwt.algorithm],
+    scopes_supported: SUPPORTED_SCOPES,
+    claims_supported: ['sub', 'email', 'email_verified', 'auth_time', 'nonce'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    code_challenge_methods_supported: ['S256']
+  };
+}
+
+module.exports = {
+  generateClientCredentials,
+  verifyClientSecret,
+  parseScopes,
+  verifyPkce,
+  saveAuthorizationRequest,
+  getAuthorizationRequest,
+  deleteAuthorizationRequest,
+  createAuthorizationCode,
+  consumeAuthorizationCode,
+  createAccessToken,
+  getAccessToken,
+  revokeUserAccessTokens,
+  signIdToken,
+  userClaims,
+  discoveryDocument
+};
@@ -0,0 +1,138 @@
+const config = require('../config');
+const { models } = require('../db');
+
+// 组织可以限制的登录方式，与审计日志中 details.method 的取值一致
+const SIGN_IN_METHODS = ['password', 'magic_link', 'passkey', 'oauth'];
+// 组织内的角色：owner 可以管理一切（包括其他 owner），admin 可以管理设置和普通成员
+const ORG_ROLES = ['owner', 'admin', 'member'];
+// 组织标识：小写字母、数字和连字符，3-64 个字符，用于 X-Organization 请求头
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}[a-z0-9]$/;
+
+// 补全默认值后的组织设置
+function organizationSettings(org) {
+  const settings = (org && org.settings) || {};
+  const mail = settings.mail || {};
+  return {
+    signInMethods: Array.isArray(settings.signInMethods) ? settings.signInMethods : SIGN_IN_METHODS,
+    mail: {
+      fromAddress: mail.fromAddress || null,
+      fromName: mail.fromName || null,
+      replyTo: mail.replyTo || null,
+      brandName: mail.brandName || null
+    }
+  };
+}
+
+function allowsSignInMethod(org, method) {
+  return organizationSettings(org).signInMethods.includes(method);
+}
+
+// 请求中指定的组织（X-Organization 请求头，值为组织标识）
+function requestedOrganizationSlug(req) {
+  const value = req.get('x-organization');
+  return value ? value.trim().toLowerCase() : null;
+}
+
+async function findOrganizationBySlug(slug) {
+  return models.Organization.findOne({ where: { slug } });
+}
+
+async function getMembership(organizationId, userId) {
+  return models.OrganizationMember.findOne({
+    where: { organization_id: organizationId, user_id: userId },
+    include: [{ model: models.Organization }]
+  });
+}
+
+// 登录时选择会话的当前组织：
+// 指定了组织时，用户必须是成员且组织允许该登录方式，否则返回 { status, error }；
+// 未指定时选择最早加入、且允许该登录方式的组织，没有时会话不属于任何组织
+async function selectOrganization(user, method, slug) {
+  if (slug) {
+    const org = await findOrganizationBySlug(slug);
+    if (!org) {
+      return { status: 404, error: 'organization not found' };
+    }
+    const membership = await getMembership(org.id, user.id);
+    if (!membership) {
+      return { status: 403, error: 'not a member of this organization' };
+    }
+    if (!allowsSignInMethod(org, method)) {
+      return { status: 403, error: 'sign-in method not allowed for this organization' };
+    }
+    return { organizationId: org.id };
+  }
+
+  const memberships = await models.OrganizationMember.findAll({
+    where: { user_id: user.id },
+    include: [{ model: models.Organization }],
+    order: [['created_at', 'ASC'], ['id', 'ASC']]
+  });
+  const match = memberships.find((m) => allowsSignInMethod(m.Organization, method));
+  return { organizationId: match ? match.organization_id : null };
+}
+
+// 发件地址的域名必须在 MAIL_ORG_SENDER_DOMAINS 中，防止组织冒用其他域名发信
+function isAllowedSenderAddress(address) {
+  const domain = String(address).split('@').pop().toLowerCase();
+  return config.mail.orgSenderDomains.includes(domain);
+}
+
+// 组织的发件人设置，传给 mailer；未配置时使用全局设置
+function organizationSender(org) {
+  if (!org) return undefined;
+  const { mail } = organizationSettings(org);
+  // 允许列表收紧后，已保存的地址不再使用
+  return {
+    from: mail.fromAddress && isAllowedSenderAddress(mail.fromAddress)
+      ? (mail.fromName ? `"${mail.fromName.replace(/"/g, '')}" <${mail.fromAddress}>` : mail.fromAddress)
+      : undefined,
+    replyTo: mail.replyTo || undefined,
+    brandName: mail.brandName || org.name
+  };
+}
+
+// 请求对应组织的邮件发件人：已登录时为令牌中的当前组织，否则为 X-Organization 请求头指定的组织
+// 只有收件用户是该组织成员时才使用组织的设置，否则任何人都能让他人收到以该组织名义发出的邮件
+async function requestSender(req, user) {
+  if (!user) return undefined;
+  let org = null;
+  if (req.user && req.user.org) {
+    org = await models.Organization.findByPk(req.user.org);
+  } else {
+    const slug = requestedOrganizationSlug(req);
+    org = slug ? await findOrganizationBySlug(slug) : null;
+  }
+  if (!org || !(await getMembership(org.id, user.id))) {
+    return undefined;
+  }
+  return organizationSender(org);
+}
+
+// 返回给客户端的组织信息；membership 为当前用户的成员记录
+function serializeOrganization(org, membership) {
+  return {
+    id: org.id,
+    slug: org.slug,
+    name: org.name,
+    role: membership ? membership.role : undefined,
+    settings: organizationSettings(org),
+    createdAt: org.created_at
+  };
+}
+
+module.exports = {
+  SIGN_IN_METHODS,
+  ORG_ROLES,
+  SLUG_PATTERN,
+  organizationSettings,
+  allowsSignInMethod,
+  requestedOrganizationSlug,
+  findOrganizationBySlug,
+  getMembership,
+  selectOrganization,
+  isAllowedSenderAddress,
+  organizationSender,
+  requestSender,
+  serializeOrganization
+};
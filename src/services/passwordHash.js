@@ -0,0 +1,81 @@
+const argon2 = require('argon2');
+const bcrypt = require('bcrypt');
+const config = require('../config');
+
+// 哈希字符串自带算法和参数：
+// argon2id 为 PHC 格式 $argon2id$v=19$m=19456,t=2,p=1$<salt>$<hash>
+// bcrypt 为 $2b$12$<salt+hash>，其中 12 为 cost
+const ARGON2_PATTERN = /^\$argon2id\$v=(\d+)\$m=(\d+),t=(\d+),p=(\d+)\$/;
+const BCRYPT_PATTERN = /^\$2[aby]\$(\d{2})\$/;
+// 当前的 argon2 版本号（0x13）
+const ARGON2_VERSION = 19;
+
+// 解析哈希使用的算法和参数，无法识别时返回 null
+function parseHash(hash) {
+  if (typeof hash !== 'string') return null;
+  const a = hash.match(ARGON2_PATTERN);
+  if (a) {
+    return {
+      algorithm: 'argon2id',
+      version: parseInt(a[1], 10),
+      memoryCost: parseInt(a[2], 10),
+      timeCost: parseInt(a[3], 10),
+      parallelism: parseInt(a[4], 10)
+    };
+  }
+  const b = hash.match(BCRYPT_PATTERN);
+  if (b) {
+    return { algorithm: 'bcrypt', cost: parseInt(b[1], 10) };
+  }
+  return null;
+}
+
+// 使用当前配置的算法和参数生成哈希
+async function hashPassword(password) {
+  const settings = config.passwordHash;
+  if (settings.algorithm === 'bcrypt') {
+    return bcrypt.hash(password, settings.bcryptCost);
+  }
+  return argon2.hash(password, {
+    type: argon2.argon2id,
+    memoryCost: settings.argon2.memoryCost,
+    timeCost: settings.argon2.timeCost,
+    parallelism: settings.argon2.parallelism
+  });
+}
+
+// 按哈希自带的算法校验密码；无法识别的哈希视为不匹配
+async function verifyPassword(password, hash) {
+  const parsed = parseHash(hash);
+  if (!parsed || typeof password !== 'string') return false;
+  if (parsed.algorithm === 'bcrypt') {
+    return bcrypt.compare(password, hash);
+  }
+  try {
+    return await argon2.verify(hash, password);
+  } catch (err) {
+    console.error('Password hash: Failed to verify argon2 hash:', err.message);
+    return false;
+  }
+}
+
+// 哈希的算法或参数与当前配置不同时需要重新哈希（登录成功后进行）
+function needsRehash(hash) {
+  const parsed = parseHash(hash);
+  const settings = config.passwordHash;
+  if (!parsed || parsed.algorithm !== settings.algorithm) return true;
+  if (parsed.algorithm === 'bcrypt') {
+    return parsed.cost !== settings.bcryptCost;
+  }
+  return parsed.version !== ARGON2_VERSION ||
+    parsed.memoryCost !== settings.argon2.memoryCost ||
+    parsed.timeCost !== settings.argon2.timeCost ||
+    parsed.parallelism !== settings.argon2.parallelism;
+}
+
+module.exports = {
+  parseHash,
+  hashPassword,
+  verifyPassword,
+  needsRehash
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+const { models } = require('../db');
+const { verifyPassword } = require('./passwordHash');
+
+// 字符类别，用于 minCharClasses 规则
+const CHAR_CLASSES = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/];
+
+// 常见 / 已泄露密码列表，首次检查时加载到内存
+let breachedListPromise = null;
+
+// 读取离线密码列表：明文按小写保存，SHA-1 哈希按大写保存（HIBP 的 HASH:次数 格式只取哈希）
+async function loadBreachedList() {
+  const file = config.passwordPolicy.breachedListFile;
+  if (!file) return null;
+  const content = await fs.promises.readFile(file, 'utf8');
+  const entries = new Set();
+  for (const raw of content.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const hash = line.match(/^([0-9a-fA-F]{40})(:\d+)?$/);
+    entries.add(hash ? hash[1].toUpperCase() : line.toLowerCase());
+  }
+  console.log(`Password policy: Loaded ${entries.size} breached password entries`);
+  return entries;
+}
+
+function getBreachedList() {
+  if (!breachedListPromise) {
+    breachedListPromise = loadBreachedList().catch((err) => {
+      // 加载失败时下次检查重新尝试
+      breachedListPromise = null;
+      throw err;
+    });
+  }
+  return breachedListPromise;
+}
+
+async function isBreached(password) {
+  const entries = await getBreachedList();
+  if (!entries) return false;
+  const sha1 = crypto.createHash('sha1').update(password).digest('hex').toUpperCase();
+  return entries.has(password.toLowerCase()) || entries.has(sha1);
+}
+
+// 不依赖用户历史的规则：长度、字符类别、包含邮箱、常见密码
+async function checkPassword(password, { email } = {}) {
+  const policy = config.passwordPolicy;
+  const violations = [];
+
+  if (typeof password !== 'string') {
+    return [{ rule: 'min_length', message: `password must be at least ${policy.minLength} characters`, min: policy.minLength }];
+  }
+  if (password.length < policy.minLength) {
+    violations.push({ rule: 'min_length', message: `password must be at least ${policy.minLength} characters`, min: policy.minLength });
+  }
+  if (password.length > policy.maxLength) {
+    violations.push({ rule: 'max_length', message: `password must be at most ${policy.maxLength} characters`, max: policy.maxLength });
+  }
+
+  const classes = CHAR_CLASSES.filter(re => re.test(password)).length;
+  if (classes < policy.minCharClasses) {
+    violations.push({
+      rule: 'character_classes',
+      message: `password must contain at least ${policy.minCharClasses} of: lowercase letters, uppercase letters, digits, symbols`,
+      min: policy.minCharClasses
+    });
+  }
+
+  if (policy.rejectEmail && email) {
+    const lower = password.toLowerCase();
+    const normalizedEmail = email.trim().toLowerCase();
+    const localPart = normalizedEmail.split('@')[0];
+    // 过短的本地部分（如 a@example.com）容易误判，不参与检查
+    if (lower.includes(normalizedEmail) || (localPart.length >= 3 && lower.includes(localPart))) {
+      violations.push({ rule: 'contains_email', message: 'password must not contain your email address' });
+    }
+  }
+
+  if (await isBreached(password)) {
+    violations.push({ rule: 'breached', message: 'password is too common or has appeared in a data breach' });
+  }
+
+  return violations;
+}
+
+// 检查是否与当前密码或最近使用过的密码相同
+async function checkPasswordHistory(user, password, { transaction } = {}) {
+  const size = config.passwordPolicy.historySize;
+  if (size <= 0 || !user) return [];
+
+  const hashes = user.password_hash ? [user.password_hash] : [];
+  if (size > 1) {
+    const history = await models.PasswordHistory.findAll({
+      where: { user_id: user.id },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: size - 1,
+      transaction
+    });
+    hashes.push(...history.map(h => h.password_hash));
+  }
+
+  for (const hash of hashes) {
+    if (await verifyPassword(password, hash)) {
+      return [{
+        rule: 'reused',
+        message: `password must not match any of your last ${size} passwords`,
+        count: size
+      }];
+    }
+  }
+  return [];
+}
+
+// 完整检查；没有 user（例如注册）时只检查静态规则
+async function validatePassword(password, { email, user, transaction } = {}) {
+  const violations = await checkPassword(password, { email: email || (user && user.email) });
+  if (violations.length === 0 && user) {
+    violations.push(...await checkPasswordHistory(user, password, { transaction }));
+  }
+  return violations;
+}
+
+// 修改密码前保存旧密码哈希，只保留 historySize - 1 条（当前密码本身也算一条）
+async function recordPasswordHistory(user, { transaction } = {}) {
+  const keep = config.passwordPolicy.historySize - 1;
+  if (keep <= 0 || !user.password_hash) return;
+
+  await models.PasswordHistory.create({ user_id: user.id, password_hash: user.password_hash }, { transaction });
+  const stale = await models.PasswordHistory.findAll({
+    where: { user_id: user.id },
+    order: [['created_at', 'DESC'], ['id', 'DESC']],
+    offset: keep,
+    attributes: ['id'],
+    transaction
+  });
+  if (stale.length > 0) {
+    await models.PasswordHistory.destroy({ where: { id: stale.map(h => h.id) }, transaction });
+  }
+}
+
+// 返回给客户端的策略说明，便于前端提前提示
+function describePolicy() {
+  const policy = config.passwordPolicy;
+  return {
+    minLength: policy.minLength,
+    maxLength: policy.maxLength,
+    minCharClasses: policy.minCharClasses,
+    rejectEmail: policy.rejectEmail,
+    breachedCheck: !!policy.breachedListFile,
+    historySize: policy.historySize
+  };
+}
+
+module.exports = {
+  checkPassword,
+  checkPasswordHistory,
+  validatePassword,
+  recordPasswordHistory,
+  describePolicy
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const { models } = require('../db');
+const { getUserRoles, getPermissionsForRoles } = require('./roles');
+
+// 令牌前缀，authMiddleware 据此区分个人访问令牌和 JWT
+const TOKEN_PREFIX = 'pat_';
+// 列表中显示的令牌开头部分（前缀 + 8 个字符）
+const DISPLAY_PREFIX_LENGTH = TOKEN_PREFIX.length + 8;
+// 所有用户都可以选择的范围；此外还可以选择用户角色拥有的权限（如 users:read）
+const BASE_SCOPES = ['profile:read', 'profile:write'];
+// last_used_at 的最小更新间隔，避免每个请求都写数据库
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function isPersonalAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+// 用户创建令牌时可以选择的范围
+async function availableScopes(userId) {
+  const permissions = await getPermissionsForRoles(await getUserRoles(userId));
+  return [...BASE_SCOPES, ...permissions.filter((p) => !BASE_SCOPES.includes(p)).sort()];
+}
+
+// 创建令牌，返回明文令牌（只在这里出现一次）和数据库记录
+async function createToken(userId, { name, scopes, expiresAt }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const record = await models.PersonalAccessToken.create({
+    user_id: userId,
+    name,
+    token_hash: hashToken(token),
+    token_prefix: token.slice(0, DISPLAY_PREFIX_LENGTH),
+    scopes,
+    expires_at: expiresAt || null,
+    last_used_at: null,
+    last_used_ip: null
+  });
+  return { token, record };
+}
+
+// 按明文令牌查找记录；不存在时返回 null，过期与否由调用方判断
+async function findToken(token) {
+  return models.PersonalAccessToken.findOne({ where: { token_hash: hashToken(token) } });
+}
+
+function isExpired(record) {
+  return Boolean(record.expires_at) && new Date(record.expires_at).getTime() <= Date.now();
+}
+
+// 删除用户的全部令牌（重置密码、撤销所有令牌等场景）
+async function revokeAllTokens(userId, { transaction } = {}) {
+  return models.PersonalAccessToken.destroy({ where: { user_id: userId }, transaction });
+}
+
+// 记录最后使用时间和 IP；写入失败不影响请求
+async function touchToken(record, ip) {
+  const lastUsed = record.last_used_at ? new Date(record.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed < LAST_USED_UPDATE_INTERVAL_MS) {
+    return;
+  }
+  try {
+    await record.update({ last_used_at: new Date(), last_used_ip: ip || null });
+  } catch (err) {
+    console.error('Personal access token: Failed to update last used time:', err.message);
+  }
+}
+
+// 返回给客户端的令牌信息（不包含哈希）
+function serializeToken(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    tokenPrefix: t.token_prefix,
+    scopes: t.scopes,
+    expiresAt: t.expires_at,
+    lastUsedAt: t.last_used_at,
+    lastUsedIp: t.last_used_ip,
+    createdAt: t.created_at
+  };
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  isPersonalAccessToken,
+  availableScopes,
+  createToken,
+  findToken,
+  isExpired,
+  revokeAllTokens,
+  touchToken,
+  serializeToken
+};
@@ -0,0 +1,79 @@
+const { models } = require('../db');
+
+// 角色 -> 权限映射的内存缓存刷新间隔，使角色权限的修改能及时生效
+const CACHE_TTL_MS = 60 * 1000;
+
+let cache = { permissions: new Map(), loadedAt: 0 };
+
+// 用户的角色名称列表，写入 access token 的 roles 声明
+async function getUserRoles(userId) {
+  const roles = await models.Role.findAll({
+    attributes: ['name'],
+    include: [{ model: models.User, where: { id: userId }, attributes: [], through: { attributes: [] } }],
+    order: [['name', 'ASC']]
+  });
+  return roles.map((r) => r.name);
+}
+
+async function loadRolePermissions() {
+  const roles = await models.Role.findAll({
+    attributes: ['name'],
+    include: [{ model: models.Permission, attributes: ['name'], through: { attributes: [] } }]
+  });
+  cache = {
+    permissions: new Map(roles.map((r) => [r.name, r.Permissions.map((p) => p.name)])),
+    loadedAt: Date.now()
+  };
+  return cache.permissions;
+}
+
+// 角色列表拥有的全部权限
+async function getPermissionsForRoles(roleNames) {
+  let permissions = cache.permissions;
+  if (Date.now() - cache.loadedAt > CACHE_TTL_MS) {
+    permissions = await loadRolePermissions();
+  }
+
+  const result = new Set();
+  for (const name of roleNames || []) {
+    for (const permission of permissions.get(name) || []) {
+      result.add(permission);
+    }
+  }
+  return [...result];
+}
+
+// 授予者当前的角色是否拥有 roleName 的全部权限；不能通过邀请或授权得到比自己更多的权限
+async function canGrantRole(grantorId, roleName) {
+  const [granted, required] = await Promise.all([
+    getUserRoles(grantorId).then(getPermissionsForRoles),
+    getPermissionsForRoles([roleName])
+  ]);
+  return required.every((permission) => granted.includes(permission));
+}
+
+// 为用户添加角色；新角色在下次签发 access token（登录或刷新）时生效
+async function grantRole(user, roleName, { transaction } = {}) {
+  const role = await models.Role.findOne({ where: { name: roleName }, transaction });
+  if (!role) {
+    throw new Error(`Unknown role: ${roleName}`);
+  }
+  await models.UserRole.findOrCreate({ where: { user_id: user.id, role_id: role.id }, transaction });
+}
+
+// 移除用户角色；调用方需要使该用户已签发的令牌失效，否则旧令牌中的角色在过期前仍然有效
+async function revokeRole(user, roleName) {
+  const role = await models.Role.findOne({ where: { name: roleName } });
+  if (!role) {
+    throw new Error(`Unknown role: ${roleName}`);
+  }
+  return models.UserRole.destroy({ where: { user_id: user.id, role_id: role.id } });
+}
+
+module.exports = {
+  getUserRoles,
+  getPermissionsForRoles,
+  canGrantRole,
+  grantRole,
+  revokeRole
+};
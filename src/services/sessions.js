@@ -0,0 +1,150 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const store = require('../storage');
+
+// lastSeenAt 的最小更新间隔（秒），避免每个请求都写 Redis
+const TOUCH_INTERVAL_SECONDS = 60;
+
+function sessionKey(sessionId) {
+  return `session_${sessionId}`;
+}
+
+function userSessionsKey(userId) {
+  return `user_sessions_${userId}`;
+}
+
+// 从请求中提取会话的设备信息
+function sessionMeta(req) {
+  return {
+    userAgent: (req.headers['user-agent'] || '').slice(0, 512),
+    ip: req.ip
+  };
+}
+
+// 创建会话（每次登录一个），会话 ID 同时作为 refresh token family ID
+// meta.method 为登录方式，meta.organizationId 为会话的当前组织（写入 access token）
+async function createSession(userId, meta = {}) {
+  const now = new Date().toISOString();
+  const session = {
+    id: uuidv4(),
+    userId,
+    userAgent: meta.userAgent || '',
+    ip: meta.ip || '',
+    method: meta.method || null,
+    organizationId: meta.organizationId || null,
+    createdAt: now,
+    lastSeenAt: now
+  };
+
+  await store.setEx(sessionKey(session.id), config.refreshTokenTtl, JSON.stringify(session));
+  await store.sAdd(userSessionsKey(userId), session.id);
+  await store.expire(userSessionsKey(userId), config.refreshTokenTtl);
+
+  return session;
+}
+
+async function getSession(sessionId) {
+  const raw = await store.get(sessionKey(sessionId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+// 延长会话有效期（refresh token 轮换时调用）；用户的会话列表一并延长，
+// 否则会话比列表活得久，撤销所有会话时会被漏掉
+async function extendSession(userId, sessionId) {
+  await store.expire(sessionKey(sessionId), config.refreshTokenTtl);
+  await store.expire(userSessionsKey(userId), config.refreshTokenTtl);
+}
+
+// 切换会话的当前组织，之后签发的 access token 使用新组织
+async function setSessionOrganization(sessionId, organizationId) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+  session.organizationId = organizationId;
+  const ttl = await store.ttl(sessionKey(sessionId));
+  if (ttl > 0) {
+    await store.setEx(sessionKey(sessionId), ttl, JSON.stringify(session));
+  }
+  return session;
+}
+
+// 更新最后活跃时间，返回会话（不存在时返回 null）
+async function touchSession(sessionId, meta) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  const elapsed = (Date.now() - Date.parse(session.lastSeenAt)) / 1000;
+  if (elapsed >= TOUCH_INTERVAL_SECONDS) {
+    session.lastSeenAt = new Date().toISOString();
+    if (meta && meta.ip) {
+      session.ip = meta.ip;
+    }
+    const ttl = await store.ttl(sessionKey(sessionId));
+    if (ttl > 0) {
+      await store.setEx(sessionKey(sessionId), ttl, JSON.stringify(session));
+    }
+  }
+
+  return session;
+}
+
+// 列出用户所有有效会话，顺带清理已过期的会话 ID
+async function listSessions(userId) {
+  const ids = await store.sMembers(userSessionsKey(userId));
+  const sessions = [];
+
+  for (const id of ids) {
+    const session = await getSession(id);
+    if (session) {
+      sessions.push(session);
+    } else {
+      await store.sRem(userSessionsKey(userId), id);
+    }
+  }
+
+  return sessions.sort((a, b) => Date.parse(b.lastSeenAt) - Date.parse(a.lastSeenAt));
+}
+
+// 撤销单个会话，返回是否存在并属于该用户
+async function revokeSession(userId, sessionId) {
+  const session = await getSession(sessionId);
+  if (!session || String(session.userId) !== String(userId)) {
+    return false;
+  }
+
+  await store.del(sessionKey(sessionId));
+  await store.sRem(userSessionsKey(userId), sessionId);
+  return true;
+}
+
+// 撤销用户所有会话（"在所有设备上退出"），可保留指定会话
+async function revokeAllSessions(userId, exceptSessionId) {
+  const ids = await store.sMembers(userSessionsKey(userId));
+  let count = 0;
+
+  for (const id of ids) {
+    if (id === exceptSessionId) {
+      continue;
+    }
+    await store.del(sessionKey(id));
+    await store.sRem(userSessionsKey(userId), id);
+    count++;
+  }
+
+  return count;
+}
+
+module.exports = {
+  sessionMeta,
+  createSession,
+  getSession,
+  extendSession,
+  setSessionOrganization,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
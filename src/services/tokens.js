@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const store = require('../storage');
+const { signJwt } = require('./keys');
+const { getUserRoles } = require('./roles');
+const { getMembership } = require('./organizations');
+const { revokeAllTokens } = require('./personalAccessTokens');
+const { revokeUserAccessTokens } = require('./oidc');
+const {
+  createSession,
+  getSession,
+  extendSession,
+  revokeSession,
+  revokeAllSessions
+} = require('./sessions');
+
+// Refresh token 只以哈希形式作为 Redis key，避免 Redis 泄露时可直接使用
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 签发短期 access token，sid 指向所属会话，tv 为用户当前令牌版本，roles 为用户角色
+// 会话有当前组织且用户仍是成员时，org / org_role 为组织 ID 和用户在组织中的角色
+async function signAccessToken(user, sessionId) {
+  const jti = uuidv4();
+  const [roles, session] = await Promise.all([getUserRoles(user.id), getSession(sessionId)]);
+  const payload = { sub: user.id, email: user.email, jti, sid: sessionId, tv: user.token_version, roles };
+  if (session && session.organizationId) {
+    const membership = await getMembership(session.organizationId, user.id);
+    if (membership) {
+      payload.org = membership.organization_id;
+      payload.org_role = membership.role;
+    }
+  }
+  return signJwt(payload, { expiresIn: config.jwtExpiresIn });
+}
+
+// 创建 refresh token 并写入 Redis
+// 同一次登录派生出的所有 refresh token 属于同一个 family，family 即登录会话，
+// 只要会话被撤销，其下所有 token 都失效
+async function createRefreshToken(userId, familyId) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const ttl = config.refreshTokenTtl;
+
+  await extendSession(userId, familyId);
+  await store.setEx(
+    `refresh_${hashToken(token)}`,
+    ttl,
+    JSON.stringify({ userId, familyId })
+  );
+
+  return token;
+}
+
+// 为指定会话签发一对新的 access token + refresh token
+async function issueTokens(user, sessionId) {
+  const token = await signAccessToken(user, sessionId);
+  const refreshToken = await createRefreshToken(user.id, sessionId);
+  return { token, refreshToken };
+}
+
+// 新建登录会话并签发令牌（各种登录方式的最后一步）
+async function startSession(user, meta) {
+  const session = await createSession(user.id, meta);
+  return issueTokens(user, session.id);
+}
+
+// 使用 refresh token：校验、标记为已使用并在同一 family 下轮换
+// 返回 { status: 'ok', userId, familyId }，或 status 为 'invalid' / 'reused' / 'revoked'
+async function consumeRefreshToken(refreshToken) {
+  const hash = hashToken(refreshToken);
+  const raw = await store.get(`refresh_${hash}`);
+  if (!raw) {
+    return { status: 'invalid' };
+  }
+
+  const { userId, familyId } = JSON.parse(raw);
+
+  // 原子地标记为已使用；如果标记已存在，说明该 token 被重复使用，
+  // 视为泄露，撤销整个 family
+  const marked = await store.set(`refresh_used_${hash}`, '1', {
+    NX: true,
+    EX: config.refreshTokenTtl
+  });
+  if (!marked) {
+    await revokeSession(userId, familyId);
+    return { status: 'reused', userId, familyId };
+  }
+
+  const session = await getSession(familyId);
+  if (!session) {
+    return { status: 'revoked', userId, familyId };
+  }
+
+  return { status: 'ok', userId, familyId };
+}
+
+// 撤销 refresh token 所在的会话（用于登出）
+// 传入 userId 时只撤销属于该用户的 token
+async function revokeRefreshToken(refreshToken, userId) {
+  const hash = hashToken(refreshToken);
+  const raw = await store.get(`refresh_${hash}`);
+  if (!raw) {
+    return false;
+  }
+
+  const record = JSON.parse(raw);
+  if (userId !== undefined && String(record.userId) !== String(userId)) {
+    return false;
+  }
+
+  await revokeSession(record.userId, record.familyId);
+  await store.del(`refresh_${hash}`);
+  return true;
+}
+
+// 使用户此前签发的所有令牌失效：递增 token_version、删除个人访问令牌、撤销会话和 OIDC access token
+// exceptSessionId 指定的会话会被保留（调用方需为其重新签发 access token）
+async function invalidateUserTokens(user, { transaction, exceptSessionId } = {}) {
+  await user.increment('token_version', { transaction });
+  await user.reload({ transaction });
+  await revokeAllTokens(user.id, { transaction });
+  await revokeAllSessions(user.id, exceptSessionId);
+  await revokeUserAccessTokens(user.id);
+}
+
+module.exports = {
+  signAccessToken,
+  issueTokens,
+  startSession,
+  consumeRefreshToken,
+  revokeRefreshToken,
+  invalidateUserTokens
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const config = require('../config');
+const store = require('../storage');
+const { models } = require('../db');
+
+// 允许前后各一个时间步（30 秒）的时钟偏差
+authenticator.options = { window: 1 };
+
+const RECOVERY_CODE_COUNT = 10;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+// window 为 1 时一个验证码最多在 3 个时间步内有效
+const TOTP_REPLAY_TTL_SECONDS = 90;
+// 恢复码使用标记的保留时间；恢复码在此期间已从数据库中移除
+const RECOVERY_CODE_MARKER_TTL_SECONDS = 24 * 60 * 60;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// 生成 TOTP 密钥（160 位，base32 编码）和 otpauth:// URI
+function generateTotpSecret(email) {
+  const secret = authenticator.generateSecret(20);
+  const otpauthUrl = authenticator.keyuri(email, config.totp.issuer, secret);
+  return { secret, otpauthUrl };
+}
+
+// 校验 TOTP 验证码，同一用户的同一验证码在有效期内只能使用一次（防重放）
+async function verifyTotp(userId, secret, code) {
+  const token = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(token) || !authenticator.check(token, secret)) {
+    return false;
+  }
+
+  const fresh = await store.set(`totp_used_${userId}_${token}`, '1', {
+    NX: true,
+    EX: TOTP_REPLAY_TTL_SECONDS
+  });
+  return Boolean(fresh);
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+// 生成一次性恢复码，返回明文（仅展示一次）和哈希（存入数据库）
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map((c) => sha256(normalizeRecoveryCode(c)))
+  };
+}
+
+// 使用恢复码：匹配成功时从用户的恢复码列表中移除并保存，同一个恢复码只能成功使用一次
+// 先用 NX 标记占用恢复码（并发请求中只有一个能拿到），再在锁定用户行的事务中重新读取列表并移除，
+// 避免并发使用不同恢复码时后保存的一方覆盖先保存的一方
+async function consumeRecoveryCode(user, code) {
+  const hash = sha256(normalizeRecoveryCode(code));
+  if (!(user.recovery_codes || []).includes(hash)) {
+    return false;
+  }
+
+  const markerKey = `recovery_used_${user.id}_${hash}`;
+  const claimed = await store.set(markerKey, '1', { NX: true, EX: RECOVERY_CODE_MARKER_TTL_SECONDS });
+  if (!claimed) {
+    return false;
+  }
+
+  const transaction = await models.User.sequelize.transaction();
+  try {
+    const locked = await models.User.findByPk(user.id, { lock: transaction.LOCK.UPDATE, transaction });
+    const hashes = (locked && locked.recovery_codes) || [];
+    if (!hashes.includes(hash)) {
+      await transaction.rollback();
+      return false;
+    }
+    locked.recovery_codes = hashes.filter((h) => h !== hash);
+    await locked.save({ transaction });
+    await transaction.commit();
+    user.recovery_codes = locked.recovery_codes;
+    return true;
+  } catch (err) {
+    await transaction.rollback();
+    // 未能移除时释放标记，恢复码仍可使用
+    await store.del(markerKey).catch(() => {});
+    throw err;
+  }
+}
+
+// 校验第二因素：TOTP 验证码或恢复码，恢复码被使用时已保存到数据库
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    return verifyTotp(user.id, user.totp_secret, code);
+  }
+  if (recoveryCode) {
+    return consumeRecoveryCode(user, recoveryCode);
+  }
+  return false;
+}
+
+// 密码校验通过但需要第二因素时，创建短期登录挑战
+async function createLoginChallenge(userId, { method = null, organizationId = null } = {}) {
+  const challengeToken = crypto.randomBytes(32).toString('base64url');
+  await store.setEx(
+    `mfa_${sha256(challengeToken)}`,
+    config.totp.challengeTtl,
+    JSON.stringify({ userId, method, organizationId })
+  );
+  return challengeToken;
+}
+
+// 读取登录挑战：{ userId, method, organizationId }，不存在或已过期时返回 null
+// method 为第一步的登录方式，organizationId 为第一步选定的组织
+async function getLoginChallenge(challengeToken) {
+  const raw = await store.get(`mfa_${sha256(challengeToken)}`);
+  if (!raw) {
+    return null;
+  }
+  return JSON.parse(raw);
+}
+
+// 记录一次失败尝试，超过次数上限后作废挑战，返回挑战是否仍然有效
+async function failLoginChallenge(challengeToken) {
+  const hash = sha256(challengeToken);
+  const attempts = await store.incr(`mfa_attempts_${hash}`);
+  await store.expire(`mfa_attempts_${hash}`, config.totp.challengeTtl);
+  if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    await store.del([`mfa_${hash}`, `mfa_attempts_${hash}`]);
+    return false;
+  }
+  return true;
+}
+
+async function completeLoginChallenge(challengeToken) {
+  const hash = sha256(challengeToken);
+  await store.del([`mfa_${hash}`, `mfa_attempts_${hash}`]);
+}
+
+module.exports = {
+  generateTotpSecret,
+  verifyTotp,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createLoginChallenge,
+  getLoginChallenge,
+  failLoginChallenge,
+  completeLoginChallenge
+};
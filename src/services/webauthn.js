@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const config = require('../config');
+const store = require('../storage');
+
+// WebAuthn user handle：使用用户 ID，不包含邮箱等个人信息
+function userHandle(userId) {
+  return new TextEncoder().encode(String(userId));
+}
+
+// 将数据库记录转换为 @simplewebauthn/server 需要的凭据格式
+function toWebAuthnCredential(record) {
+  return {
+    id: record.credential_id,
+    publicKey: new Uint8Array(record.public_key),
+    counter: Number(record.counter),
+    transports: record.transports || undefined
+  };
+}
+
+// 注册仪式第一步：生成创建凭据的选项，挑战保存在 Redis 中
+async function startRegistration(user, existingCredentials) {
+  const options = await generateRegistrationOptions({
+    rpName: config.webauthn.rpName,
+    rpID: config.webauthn.rpID,
+    userName: user.email,
+    userID: userHandle(user.id),
+    attestationType: 'none',
+    // 避免同一个认证器重复注册
+    excludeCredentials: existingCredentials.map((c) => ({
+      id: c.credential_id,
+      transports: c.transports || undefined
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'preferred'
+    }
+  });
+
+  await store.setEx(`webauthn_reg_${user.id}`, config.webauthn.challengeTtl, options.challenge);
+  return options;
+}
+
+// 注册仪式第二步：校验认证器返回的 attestation，成功时返回待保存的凭据信息
+// 挑战只能使用一次
+async function finishRegistration(userId, response) {
+  const key = `webauthn_reg_${userId}`;
+  const expectedChallenge = await store.get(key);
+  if (!expectedChallenge) {
+    return null;
+  }
+  await store.del(key);
+
+  let result;
+  try {
+    result = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpID,
+      requireUserVerification: false
+    });
+  } catch (err) {
+    // 格式错误、挑战或来源不匹配等都会抛出异常，统一视为校验失败
+    console.error('WebAuthn: Registration verification failed:', err.message);
+    return null;
+  }
+
+  const { verified, registrationInfo } = result;
+  if (!verified) {
+    return null;
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = registrationInfo;
+  return {
+    credential_id: credential.id,
+    public_key: Buffer.from(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || null,
+    device_type: credentialDeviceType,
+    backed_up: credentialBackedUp
+  };
+}
+
+// 认证仪式第一步：生成断言选项（可发现凭据，无需先输入邮箱）
+// 返回 challengeId，客户端在第二步原样提交
+async function startAuthentication() {
+  const options = await generateAuthenticationOptions({
+    rpID: config.webauthn.rpID,
+    userVerification: 'required'
+  });
+
+  const challengeId = crypto.randomBytes(16).toString('base64url');
+  await store.setEx(`webauthn_auth_${challengeId}`, config.webauthn.challengeTtl, options.challenge);
+  return { challengeId, options };
+}
+
+// 读取并作废认证挑战
+async function takeAuthenticationChallenge(challengeId) {
+  const key = `webauthn_auth_${challengeId}`;
+  const challenge = await store.get(key);
+  if (challenge) {
+    await store.del(key);
+  }
+  return challenge;
+}
+
+// 认证仪式第二步：用保存的公钥校验断言，成功时返回新的签名计数器
+async function finishAuthentication(expectedChallenge, response, record) {
+  let result;
+  try {
+    result = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: config.webauthn.origins,
+      expectedRPID: config.webauthn.rpID,
+      credential: toWebAuthnCredential(record),
+      requireUserVerification: true
+    });
+  } catch (err) {
+    // 签名无效、计数器回退（疑似克隆的认证器）等都会抛出异常
+    console.error('WebAuthn: Authentication verification failed:', err.message);
+    return null;
+  }
+
+  const { verified, authenticationInfo } = result;
+  if (!verified) {
+    return null;
+  }
+
+  // 断言中的 userHandle（如果有）必须与凭据所属用户一致
+  const handle = response.response && response.response.userHandle;
+  if (handle && Buffer.from(handle, 'base64url').toString() !== String(record.user_id)) {
+    return null;
+  }
+
+  return { newCounter: authenticationInfo.newCounter };
+}
+
+module.exports = {
+  startRegistration,
+  finishRegistration,
+  startAuthentication,
+  takeAuthenticationChallenge,
+  finishAuthentication
+};
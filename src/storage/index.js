@@ -0,0 +1,19 @@
+const config = require('../config');
+
+// 键值存储：验证码、令牌黑名单、会话、限流计数、发件队列等短期数据
+// STORAGE_DRIVER=redis（默认）使用 Redis；memory 使用进程内存，无需任何外部服务
+const drivers = {
+  redis: () => require('./redis')(),
+  memory: () => require('./memory')()
+};
+
+const driver = drivers[config.storage.driver];
+if (!driver) {
+  throw new Error(`Unknown STORAGE_DRIVER "${config.storage.driver}"`);
+}
+
+if (config.storage.driver === 'memory' && process.env.NODE_ENV === 'production') {
+  console.warn('Storage: Using in-memory storage, data is lost on restart and not shared between instances');
+}
+
+module.exports = driver();
@@ -0,0 +1,194 @@
+// 内存驱动：实现项目用到的 Redis 命令子集（字符串、集合、有序集合、列表和过期时间），
+// 方法名和返回值与 node-redis 一致。数据只存在于当前进程，重启后丢失，适用于本地开发、测试和单实例部署
+
+function createMemoryStore() {
+  // key -> { value, expiresAt }；value 为字符串、Set、Map（有序集合，member -> score）或数组（列表）
+  const entries = new Map();
+
+  function lookup(key) {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  function valueOf(key, create) {
+    const entry = lookup(key);
+    if (entry) return entry.value;
+    if (!create) return undefined;
+    const value = create();
+    entries.set(key, { value, expiresAt: null });
+    return value;
+  }
+
+  function keysOf(keys) {
+    return Array.isArray(keys) ? keys : [keys];
+  }
+
+  // 过期的 key 在访问时删除，这里定期清理从未再访问的 key
+  const sweeper = setInterval(() => {
+    for (const key of entries.keys()) lookup(key);
+  }, 60 * 1000);
+  sweeper.unref();
+
+  return {
+    async get(key) {
+      const value = valueOf(key);
+      return typeof value === 'string' ? value : null;
+    },
+
+    // 支持 NX、EX、PX 选项；NX 且 key 已存在时返回 null
+    async set(key, value, options = {}) {
+      if (options.NX && lookup(key)) return null;
+      let expiresAt = null;
+      if (options.EX) expiresAt = Date.now() + options.EX * 1000;
+      if (options.PX) expiresAt = Date.now() + options.PX;
+      entries.set(key, { value: String(value), expiresAt });
+      return 'OK';
+    },
+
+    async setEx(key, seconds, value) {
+      entries.set(key, { value: String(value), expiresAt: Date.now() + seconds * 1000 });
+      return 'OK';
+    },
+
+    async del(keys) {
+      let deleted = 0;
+      for (const key of keysOf(keys)) {
+        if (lookup(key)) deleted++;
+        entries.delete(key);
+      }
+      return deleted;
+    },
+
+    async exists(keys) {
+      return keysOf(keys).filter((key) => lookup(key)).length;
+    },
+
+    async incr(key) {
+      const entry = lookup(key);
+      const next = parseInt((entry && entry.value) || '0', 10) + 1;
+      entries.set(key, { value: String(next), expiresAt: entry ? entry.expiresAt : null });
+      return next;
+    },
+
+    async decr(key) {
+      const entry = lookup(key);
+      const next = parseInt((entry && entry.value) || '0', 10) - 1;
+      entries.set(key, { value: String(next), expiresAt: entry ? entry.expiresAt : null });
+      return next;
+    },
+
+    async expire(key, seconds) {
+      const entry = lookup(key);
+      if (!entry) return false;
+      entry.expiresAt = Date.now() + seconds * 1000;
+      return true;
+    },
+
+    // 与 Redis 相同：key 不存在返回 -2，没有过期时间返回 -1
+    async ttl(key) {
+      const entry = lookup(key);
+      if (!entry) return -2;
+      if (entry.expiresAt === null) return -1;
+      return Math.ceil((entry.expiresAt - Date.now()) / 1000);
+    },
+
+    async sAdd(key, members) {
+      const set = valueOf(key, () => new Set());
+      let added = 0;
+      for (const member of keysOf(members)) {
+        if (!set.has(String(member))) added++;
+        set.add(String(member));
+      }
+      return added;
+    },
+
+    async sRem(key, members) {
+      const set = valueOf(key);
+      if (!set) return 0;
+      let removed = 0;
+      for (const member of keysOf(members)) {
+        if (set.delete(String(member))) removed++;
+      }
+      if (set.size === 0) entries.delete(key);
+      return removed;
+    },
+
+    async sMembers(key) {
+      return [...(valueOf(key) || [])];
+    },
+
+    async zAdd(key, members) {
+      const zset = valueOf(key, () => new Map());
+      let added = 0;
+      for (const { score, value } of keysOf(members)) {
+        if (!zset.has(String(value))) added++;
+        zset.set(String(value), Number(score));
+      }
+      return added;
+    },
+
+    async zRem(key, members) {
+      const zset = valueOf(key);
+      if (!zset) return 0;
+      let removed = 0;
+      for (const member of keysOf(members)) {
+        if (zset.delete(String(member))) removed++;
+      }
+      if (zset.size === 0) entries.delete(key);
+      return removed;
+    },
+
+    async zRangeByScore(key, min, max, options = {}) {
+      const zset = valueOf(key) || new Map();
+      const members = [...zset]
+        .filter(([, score]) => score >= Number(min) && score <= Number(max))
+        .sort((a, b) => a[1] - b[1] || (a[0] < b[0] ? -1 : 1))
+        .map(([member]) => member);
+      if (options.LIMIT) {
+        return members.slice(options.LIMIT.offset, options.LIMIT.offset + options.LIMIT.count);
+      }
+      return members;
+    },
+
+    async lPush(key, elements) {
+      const list = valueOf(key, () => []);
+      for (const element of keysOf(elements)) list.unshift(String(element));
+      return list.length;
+    },
+
+    // 与 Redis 相同，stop 为 -1 表示到列表末尾
+    async lRange(key, start, stop) {
+      const list = valueOf(key) || [];
+      return list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+    },
+
+    async lTrim(key, start, stop) {
+      const list = valueOf(key);
+      if (list) {
+        const kept = list.slice(start, stop < 0 ? list.length + stop + 1 : stop + 1);
+        entries.get(key).value = kept;
+      }
+      return 'OK';
+    },
+
+    async lRem(key, count, element) {
+      const list = valueOf(key);
+      if (!list) return 0;
+      const kept = list.filter((e) => e !== String(element));
+      entries.get(key).value = kept;
+      return list.length - kept.length;
+    },
+
+    async quit() {
+      clearInterval(sweeper);
+      entries.clear();
+      return 'OK';
+    }
+  };
+}
+
+module.exports = createMemoryStore;
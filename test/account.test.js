@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUserAndLogin } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.stop();
+});
+
+test('deleting a password account requires the password', async () => {
+  const { tokens } = await createUserAndLogin(app, 'delete-me@example.com');
+
+  const withoutPassword = await app.request('DELETE', '/api/auth/me', { token: tokens.token, body: {} });
+  assert.equal(withoutPassword.status, 403);
+  assert.equal(withoutPassword.body.error, 'password or recent sign-in required');
+
+  const deleted = await app.request('DELETE', '/api/auth/me', {
+    token: tokens.token,
+    body: { password: 'Test-pw-48213' }
+  });
+  assert.equal(deleted.status, 200);
+});
+
+test('wrong passwords on account deletion count toward the login lockout', async () => {
+  const { tokens } = await createUserAndLogin(app, 'guess@example.com');
+
+  const statuses = [];
+  for (let i = 0; i < 5; i++) {
+    const result = await app.request('DELETE', '/api/auth/me', {
+      token: tokens.token,
+      body: { password: `wrong-${i}` }
+    });
+    statuses.push(result.status);
+  }
+  assert.deepEqual(statuses, [400, 400, 400, 400, 429]);
+
+  // 锁定同样作用于密码登录
+  const login = await app.request('POST', '/api/auth/login', {
+    body: { email: 'guess@example.com', password: 'Test-pw-48213' }
+  });
+  assert.equal(login.status, 429);
+});
+
+test('audit events outlive the deleted account', async () => {
+  const { purgeUser } = require('../src/services/account');
+  const { user } = await createUserAndLogin(app, 'audited@example.com');
+  const before = await app.models.AuditEvent.count({ where: { user_id: user.id } });
+  assert.ok(before > 0);
+
+  await purgeUser(user);
+
+  const events = await app.models.AuditEvent.findAll({ where: { email: 'audited@example.com' } });
+  assert.equal(events.length, before);
+  assert.ok(events.every((e) => e.user_id === null));
+});
+
+test('changing the password revokes access tokens issued to OIDC clients', async () => {
+  const { createAccessToken } = require('../src/services/oidc');
+  const { user, tokens } = await createUserAndLogin(app, 'oidc-user@example.com');
+  const accessToken = await createAccessToken({ userId: user.id, clientId: 'client', scopes: ['openid', 'email'] });
+
+  const before = await app.request('GET', '/userinfo', { token: accessToken });
+  assert.equal(before.status, 200);
+  assert.equal(before.body.email, 'oidc-user@example.com');
+
+  const changed = await app.request('PUT', '/api/auth/password', {
+    token: tokens.token,
+    body: { oldPassword: 'Test-pw-48213', newPassword: 'Another-pw-91734' }
+  });
+  assert.equal(changed.status, 200);
+
+  const after = await app.request('GET', '/userinfo', { token: accessToken });
+  assert.equal(after.status, 401);
+});
@@ -0,0 +1,71 @@
+// 测试辅助：用 SQLite 内存数据库、内存存储和内存邮件 transport 启动服务
+// 每个测试文件在独立进程中运行，因此每个文件都有一套全新的数据
+
+const DEFAULT_ENV = {
+  NODE_ENV: 'test',
+  PORT: '0',
+  DB_DIALECT: 'sqlite',
+  DB_STORAGE: ':memory:',
+  STORAGE_DRIVER: 'memory',
+  MAIL_TRANSPORT: 'memory'
+};
+
+// 启动服务；env 中的变量在加载 src/ 之前写入 process.env（配置只读取一次）
+async function startApp(env = {}) {
+  Object.assign(process.env, DEFAULT_ENV, env);
+
+  const { server, ready } = require('../src/index');
+  const { sequelize, models } = require('../src/db');
+  await ready;
+
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // 发送 JSON 请求，返回 { status, headers, body }；不跟随重定向
+  async function request(method, path, { body, token, headers } = {}) {
+    const response = await fetch(baseUrl + path, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch (err) {
+      parsed = text;
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  async function stop() {
+    await new Promise((resolve) => server.close(resolve));
+    await sequelize.close();
+  }
+
+  return { baseUrl, models, request, stop };
+}
+
+// 创建已验证的用户并用密码登录，返回 { user, tokens }
+async function createUserAndLogin(app, email, password = 'Test-pw-48213') {
+  const { hashPassword } = require('../src/services/passwordHash');
+  const user = await app.models.User.create({
+    email,
+    password_hash: await hashPassword(password),
+    verified: true
+  });
+  const login = await app.request('POST', '/api/auth/login', { body: { email, password } });
+  if (login.status !== 200) {
+    throw new Error(`login failed: ${login.status} ${JSON.stringify(login.body)}`);
+  }
+  return { user, tokens: login.body };
+}
+
+module.exports = {
+  startApp,
+  createUserAndLogin
+};
@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUserAndLogin } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+  // 客服角色：可以管理用户，但没有 admin 的 audit:read 权限
+  const { Role, Permission } = app.models;
+  const support = await Role.create({ name: 'support', description: 'User support' });
+  await support.setPermissions(await Permission.findAll({ where: { name: ['users:read', 'users:write'] } }));
+});
+
+after(async () => {
+  await app.stop();
+});
+
+// 创建拥有指定角色的用户并登录（角色在登录时写入令牌）
+async function createUserWithRole(email, roleName) {
+  const { grantRole } = require('../src/services/roles');
+  const { hashPassword } = require('../src/services/passwordHash');
+  const user = await app.models.User.create({
+    email,
+    password_hash: await hashPassword('Test-pw-48213'),
+    verified: true
+  });
+  await grantRole(user, roleName);
+  const login = await app.request('POST', '/api/auth/login', { body: { email, password: 'Test-pw-48213' } });
+  assert.equal(login.status, 200);
+  return { user, tokens: login.body };
+}
+
+test('an invitation cannot grant a role with more permissions than the inviter has', async () => {
+  const { tokens: supportTokens } = await createUserWithRole('support@example.com', 'support');
+  const { tokens: adminTokens } = await createUserWithRole('admin@example.com', 'admin');
+
+  const escalation = await app.request('POST', '/api/admin/invitations', {
+    token: supportTokens.token,
+    body: { email: 'accomplice@example.com', role: 'admin' }
+  });
+  assert.equal(escalation.status, 403);
+  assert.equal(escalation.body.error, 'cannot grant a role with permissions you do not have');
+
+  const sameRole = await app.request('POST', '/api/admin/invitations', {
+    token: supportTokens.token,
+    body: { email: 'colleague@example.com', role: 'support' }
+  });
+  assert.equal(sameRole.status, 201);
+
+  const byAdmin = await app.request('POST', '/api/admin/invitations', {
+    token: adminTokens.token,
+    body: { email: 'new-admin@example.com', role: 'admin' }
+  });
+  assert.equal(byAdmin.status, 201);
+});
+
+test('a personal access token cannot reach the invitation routes', async () => {
+  const { tokens } = await createUserWithRole('pat-admin@example.com', 'admin');
+  const created = await app.request('POST', '/api/auth/tokens', {
+    token: tokens.token,
+    body: { name: 'automation', scopes: ['users:read', 'users:write'], expiresInDays: 30 }
+  });
+  assert.equal(created.status, 201);
+
+  const invite = await app.request('POST', '/api/admin/invitations', {
+    token: created.body.token,
+    body: { email: 'via-pat@example.com', role: 'admin' }
+  });
+  assert.equal(invite.status, 403);
+  assert.equal(invite.body.error, 'Session required');
+
+  const list = await app.request('GET', '/api/admin/invitations', { token: created.body.token });
+  assert.equal(list.status, 403);
+
+  // 同一个令牌仍可使用其他管理接口
+  const users = await app.request('GET', '/api/admin/users', { token: created.body.token });
+  assert.equal(users.status, 200);
+});
+
+test('accepting re-checks that the inviter can still grant the role', async () => {
+  const { createInvitation } = require('../src/services/invitations');
+  const { revokeRole } = require('../src/services/roles');
+  const { user: inviter } = await createUserWithRole('demoted@example.com', 'admin');
+  const { token } = await createInvitation({
+    email: 'late@example.com',
+    role: 'admin',
+    invitedBy: inviter.id,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+
+  // 邀请发出后邀请者失去了 admin 角色
+  await revokeRole(inviter, 'admin');
+
+  const accepted = await app.request('POST', '/api/auth/invitations/accept', {
+    body: { token, password: 'Invited-pw-63018' }
+  });
+  assert.equal(accepted.status, 403);
+  assert.equal(accepted.body.error, 'inviter can no longer grant this role');
+  assert.equal(await app.models.User.count({ where: { email: 'late@example.com' } }), 0);
+});
+
+test('an organization admin cannot grant the owner role', async () => {
+  const { tokens: ownerTokens } = await createUserAndLogin(app, 'org-owner@example.com');
+  const created = await app.request('POST', '/api/organizations', {
+    token: ownerTokens.token,
+    body: { name: 'Widgets', slug: 'widgets' }
+  });
+  assert.equal(created.status, 201);
+  const orgId = created.body.id;
+
+  const { user: orgAdmin, tokens: adminTokens } = await createUserAndLogin(app, 'org-admin@example.com');
+  const { user: member } = await createUserAndLogin(app, 'org-member@example.com');
+  await app.models.OrganizationMember.create({ organization_id: orgId, user_id: orgAdmin.id, role: 'admin' });
+  await app.models.OrganizationMember.create({ organization_id: orgId, user_id: member.id, role: 'member' });
+
+  const invite = await app.request('POST', `/api/organizations/${orgId}/invitations`, {
+    token: adminTokens.token,
+    body: { email: 'would-be-owner@example.com', role: 'owner' }
+  });
+  assert.equal(invite.status, 403);
+
+  const promote = await app.request('PATCH', `/api/organizations/${orgId}/members/${member.id}`, {
+    token: adminTokens.token,
+    body: { role: 'owner' }
+  });
+  assert.equal(promote.status, 403);
+
+  const selfPromote = await app.request('PATCH', `/api/organizations/${orgId}/members/${orgAdmin.id}`, {
+    token: adminTokens.token,
+    body: { role: 'owner' }
+  });
+  assert.equal(selfPromote.status, 403);
+  assert.equal((await app.models.OrganizationMember.findOne({ where: { user_id: orgAdmin.id } })).role, 'admin');
+});
@@ -0,0 +1,207 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startApp } = require('./helpers');
+
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-secret';
+
+// 本地模拟的第三方提供方：/authorize 直接颁发授权码，/token 校验 PKCE，/userinfo 返回当前用户资料
+function startMockProvider() {
+  const codes = new Map();
+  const accessTokens = new Map();
+  const provider = { profile: null };
+
+  function readBody(req) {
+    return new Promise((resolve) => {
+      let data = '';
+      req.on('data', (chunk) => { data += chunk; });
+      req.on('end', () => resolve(new URLSearchParams(data)));
+    });
+  }
+
+  function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+
+    if (url.pathname === '/authorize') {
+      const code = crypto.randomBytes(16).toString('hex');
+      codes.set(code, {
+        clientId: url.searchParams.get('client_id'),
+        redirectUri: url.searchParams.get('redirect_uri'),
+        codeChallenge: url.searchParams.get('code_challenge'),
+        profile: provider.profile
+      });
+      const redirect = new URL(url.searchParams.get('redirect_uri'));
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', url.searchParams.get('state'));
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const params = await readBody(req);
+      const grant = codes.get(params.get('code'));
+      codes.delete(params.get('code'));
+      const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+      if (!grant || grant.clientId !== params.get('client_id') || params.get('client_secret') !== CLIENT_SECRET ||
+          grant.redirectUri !== params.get('redirect_uri') || grant.codeChallenge !== challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+      const accessToken = crypto.randomBytes(16).toString('hex');
+      accessTokens.set(accessToken, grant.profile);
+      return sendJson(res, 200, { access_token: accessToken, token_type: 'Bearer' });
+    }
+
+    if (url.pathname === '/userinfo') {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      const profile = accessTokens.get(token);
+      return profile ? sendJson(res, 200, profile) : sendJson(res, 401, { error: 'invalid_token' });
+    }
+
+    return sendJson(res, 404, { error: 'not_found' });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      provider.url = `http://127.0.0.1:${server.address().port}`;
+      provider.close = () => new Promise((done) => server.close(done));
+      resolve(provider);
+    });
+  });
+}
+
+let provider;
+let app;
+
+before(async () => {
+  provider = await startMockProvider();
+  app = await startApp({
+    OAUTH_PROVIDERS: JSON.stringify([{
+      name: 'mock',
+      clientId: CLIENT_ID,
+      clientSecret: CLIENT_SECRET,
+      authorizationUrl: `${provider.url}/authorize`,
+      tokenUrl: `${provider.url}/token`,
+      userinfoUrl: `${provider.url}/userinfo`
+    }])
+  });
+});
+
+after(async () => {
+  await app.stop();
+  await provider.close();
+});
+
+// 模拟浏览器：start 跳转到提供方并设置 nonce cookie，提供方带着授权码跳回回调地址
+async function authorize() {
+  const start = await app.request('GET', '/api/auth/oauth/mock/start');
+  assert.equal(start.status, 302);
+  const setCookie = start.headers.get('set-cookie');
+  assert.match(setCookie, /^oauth_nonce=[^;]+;.*HttpOnly/);
+  assert.match(setCookie, /SameSite=Lax/);
+  const authorizeUrl = new URL(start.headers.get('location'));
+  assert.equal(authorizeUrl.origin, provider.url);
+  assert.equal(authorizeUrl.searchParams.get('code_challenge_method'), 'S256');
+
+  const consent = await fetch(authorizeUrl, { redirect: 'manual' });
+  const callback = new URL(consent.headers.get('location'));
+  assert.equal(callback.pathname, '/api/auth/oauth/mock/callback');
+  callback.cookie = setCookie.split(';')[0];
+  return callback;
+}
+
+// 在发起授权的同一浏览器中打开回调地址
+function followCallback(callback) {
+  return app.request('GET', callback.pathname + callback.search, { headers: { Cookie: callback.cookie } });
+}
+
+test('signs in with the provider and creates a verified account', async () => {
+  provider.profile = { sub: 'mock-1', email: 'Social@Example.com', email_verified: true };
+
+  const callback = await authorize();
+  const result = await followCallback(callback);
+  assert.equal(result.status, 200);
+  assert.ok(result.body.token);
+  assert.ok(result.body.refreshToken);
+
+  const me = await app.request('GET', '/api/auth/me', { token: result.body.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.email, 'social@example.com');
+  assert.equal(me.body.verified, true);
+
+  const identities = await app.request('GET', '/api/auth/identities', { token: result.body.token });
+  assert.deepEqual(identities.body.identities.map((i) => i.provider), ['mock']);
+
+  // 再次登录使用已绑定的身份，不会创建新账户
+  const second = await authorize();
+  const relogin = await followCallback(second);
+  assert.equal(relogin.status, 200);
+  assert.equal(await app.models.User.count({ where: { email: 'social@example.com' } }), 1);
+});
+
+test('rejects a reused state', async () => {
+  provider.profile = { sub: 'mock-2', email: 'replay@example.com', email_verified: true };
+
+  const callback = await authorize();
+  const first = await followCallback(callback);
+  assert.equal(first.status, 200);
+
+  const replay = await followCallback(callback);
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.error, 'state expired or invalid');
+});
+
+test('refuses to sign in without a verified email from the provider', async () => {
+  provider.profile = { sub: 'mock-3', email: 'unverified@example.com', email_verified: false };
+
+  const callback = await authorize();
+  const result = await followCallback(callback);
+  assert.equal(result.status, 400);
+  assert.equal(result.body.error, 'provider did not return a verified email');
+  assert.equal(await app.models.User.count({ where: { email: 'unverified@example.com' } }), 0);
+});
+
+test('reports a provider error as a bad gateway', async () => {
+  provider.profile = { sub: 'mock-4', email: 'upstream@example.com', email_verified: true };
+
+  const callback = await authorize();
+  // 授权码被替换，提供方的 token 接口返回 invalid_grant
+  callback.searchParams.set('code', 'bogus');
+  const result = await followCallback(callback);
+  assert.equal(result.status, 502);
+  assert.equal(result.body.error, 'failed to authenticate with provider');
+});
+
+test('an account created through the provider can delete itself right after signing in', async () => {
+  provider.profile = { sub: 'mock-5', email: 'leaving@example.com', email_verified: true };
+
+  const callback = await authorize();
+  const login = await followCallback(callback);
+  assert.equal(login.status, 200);
+
+  // 账户没有可用的本地密码，刚完成的第三方登录即可确认身份
+  const deleted = await app.request('DELETE', '/api/auth/me', { token: login.body.token, body: {} });
+  assert.equal(deleted.status, 200);
+  assert.ok(deleted.body.deletionScheduledAt);
+});
+
+test('rejects a callback opened in a browser that did not start the flow', async () => {
+  provider.profile = { sub: 'mock-6', email: 'csrf@example.com', email_verified: true };
+
+  // 攻击者自己完成授权，把回调地址发给受害者；受害者的浏览器没有对应的 cookie
+  const callback = await authorize();
+  const withoutCookie = await app.request('GET', callback.pathname + callback.search);
+  assert.equal(withoutCookie.status, 400);
+  assert.equal(withoutCookie.body.error, 'state was not issued to this browser');
+
+  const other = await authorize();
+  const wrongCookie = await app.request('GET', other.pathname + other.search, { headers: { Cookie: callback.cookie } });
+  assert.equal(wrongCookie.status, 400);
+  assert.equal(await app.models.User.count({ where: { email: 'csrf@example.com' } }), 0);
+});
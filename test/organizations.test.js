@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUserAndLogin } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp({ MAIL_FROM: 'no-reply@auth.example.com', MAIL_ORG_SENDER_DOMAINS: 'acme.example.com' });
+});
+
+after(async () => {
+  await app.stop();
+});
+
+// 投递队列中的邮件，返回发给 to 的最后一封
+async function lastMailTo(to) {
+  const { processDueMessages } = require('../src/mail/outbox');
+  const { getTransport } = require('../src/mail/transports');
+  await processDueMessages();
+  return getTransport().sent.filter((m) => m.to === to).pop();
+}
+
+async function createOrganization(tokens, slug) {
+  const created = await app.request('POST', '/api/organizations', { token: tokens.token, body: { name: slug, slug } });
+  assert.equal(created.status, 201);
+  return created.body;
+}
+
+test('organization mail settings only apply to members and allow-listed domains', async () => {
+  const { tokens } = await createUserAndLogin(app, 'owner@acme.example.com');
+  const org = await createOrganization(tokens, 'acme');
+
+  const spoofed = await app.request('PATCH', `/api/organizations/${org.id}`, {
+    token: tokens.token,
+    body: { settings: { mail: { fromAddress: 'security@bank.example.com' } } }
+  });
+  assert.equal(spoofed.status, 400);
+  assert.equal(spoofed.body.error, 'mail.fromAddress domain not allowed');
+
+  const updated = await app.request('PATCH', `/api/organizations/${org.id}`, {
+    token: tokens.token,
+    body: { settings: { mail: { fromAddress: 'no-reply@acme.example.com' } } }
+  });
+  assert.equal(updated.status, 200);
+
+  const headers = { 'X-Organization': 'acme' };
+  await app.request('POST', '/api/auth/password/forgot', { headers, body: { email: 'owner@acme.example.com' } });
+  assert.equal((await lastMailTo('owner@acme.example.com')).from, 'no-reply@acme.example.com');
+
+  // 不是成员的用户收到的邮件使用全局发件人
+  await createUserAndLogin(app, 'outsider@example.com');
+  await app.request('POST', '/api/auth/password/forgot', { headers, body: { email: 'outsider@example.com' } });
+  assert.equal((await lastMailTo('outsider@example.com')).from, 'no-reply@auth.example.com');
+});
+
+test('an organization that disallows the session sign-in method cannot be reached from it', async () => {
+  const { tokens: ownerTokens } = await createUserAndLogin(app, 'owner@strict.example.com');
+  const org = await createOrganization(ownerTokens, 'strict');
+  const restricted = await app.request('PATCH', `/api/organizations/${org.id}`, {
+    token: ownerTokens.token,
+    body: { settings: { signInMethods: ['passkey'] } }
+  });
+  assert.equal(restricted.status, 200);
+
+  // 密码登录的会话不能查看、管理或切换到只允许通行密钥的组织
+  for (const [method, path] of [
+    ['GET', `/api/organizations/${org.id}`],
+    ['GET', `/api/organizations/${org.id}/members`],
+    ['PATCH', `/api/organizations/${org.id}`],
+    ['POST', `/api/organizations/${org.id}/switch`]
+  ]) {
+    const body = method === 'GET' ? undefined : {};
+    const result = await app.request(method, path, { token: ownerTokens.token, body });
+    assert.equal(result.status, 403, `${method} ${path}`);
+    assert.equal(result.body.error, 'sign-in method not allowed for this organization');
+  }
+});
+
+test('a session without a recorded sign-in method can only reach its current organization', async () => {
+  const store = require('../src/storage');
+  const { tokens } = await createUserAndLogin(app, 'legacy@example.com');
+  const current = await createOrganization(tokens, 'legacy-current');
+  const other = await createOrganization(tokens, 'legacy-other');
+
+  const switched = await app.request('POST', `/api/organizations/${current.id}/switch`, { token: tokens.token });
+  assert.equal(switched.status, 200);
+  // 模拟登录方式字段出现之前创建的会话
+  const sid = JSON.parse(Buffer.from(switched.body.token.split('.')[1], 'base64url')).sid;
+  const key = `session_${sid}`;
+  const session = JSON.parse(await store.get(key));
+  delete session.method;
+  await store.setEx(key, 3600, JSON.stringify(session));
+
+  const own = await app.request('GET', `/api/organizations/${current.id}`, { token: switched.body.token });
+  assert.equal(own.status, 200);
+  const elsewhere = await app.request('POST', `/api/organizations/${other.id}/switch`, { token: switched.body.token });
+  assert.equal(elsewhere.status, 403);
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUserAndLogin } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.stop();
+});
+
+test('reusing a rotated refresh token revokes the whole session', async () => {
+  const { tokens } = await createUserAndLogin(app, 'rotate@example.com');
+
+  const rotated = await app.request('POST', '/api/auth/token/refresh', { body: { refreshToken: tokens.refreshToken } });
+  assert.equal(rotated.status, 200);
+  assert.notEqual(rotated.body.refreshToken, tokens.refreshToken);
+
+  // 旧 refresh token 再次出现，视为被盗用
+  const reused = await app.request('POST', '/api/auth/token/refresh', { body: { refreshToken: tokens.refreshToken } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error, 'refresh token reused');
+
+  const afterReuse = await app.request('POST', '/api/auth/token/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+  assert.equal(afterReuse.status, 401);
+});
+
+test('a personal access token is limited to its scopes and cannot manage credentials', async () => {
+  const { tokens } = await createUserAndLogin(app, 'pat@example.com');
+  const created = await app.request('POST', '/api/auth/tokens', {
+    token: tokens.token,
+    body: { name: 'read only', scopes: ['profile:read'], expiresInDays: 30 }
+  });
+  assert.equal(created.status, 201);
+  const pat = created.body.token;
+
+  const me = await app.request('GET', '/api/auth/me', { token: pat });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.email, 'pat@example.com');
+
+  // 令牌不能用来签发新的令牌
+  const another = await app.request('POST', '/api/auth/tokens', {
+    token: pat,
+    body: { name: 'escalated', scopes: ['profile:write'], expiresInDays: 30 }
+  });
+  assert.equal(another.status, 403);
+});
@@ -0,0 +1,64 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, createUserAndLogin } = require('./helpers');
+
+let app;
+
+before(async () => {
+  app = await startApp();
+});
+
+after(async () => {
+  await app.stop();
+});
+
+// 为用户开启两步验证，返回恢复码明文
+async function enableTwoFactor(user) {
+  const { generateTotpSecret, generateRecoveryCodes } = require('../src/services/twoFactor');
+  const { codes, hashes } = generateRecoveryCodes();
+  user.totp_secret = generateTotpSecret(user.email).secret;
+  user.totp_enabled = true;
+  user.recovery_codes = hashes;
+  await user.save();
+  return codes;
+}
+
+async function passwordStep(email, password) {
+  const login = await app.request('POST', '/api/auth/login', { body: { email, password } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.mfaRequired, true);
+  return login.body.challengeToken;
+}
+
+test('a recovery code used by two parallel logins signs in only once', async () => {
+  const password = 'Test-pw-48213';
+  const { user } = await createUserAndLogin(app, 'recovery@example.com', password);
+  const [recoveryCode] = await enableTwoFactor(user);
+
+  const challenges = [
+    await passwordStep(user.email, password),
+    await passwordStep(user.email, password)
+  ];
+  const results = await Promise.all(challenges.map((challengeToken) =>
+    app.request('POST', '/api/auth/login/2fa', { body: { challengeToken, recoveryCode } })
+  ));
+
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 400]);
+  await user.reload();
+  assert.equal(user.recovery_codes.length, 9);
+});
+
+test('password re-confirmation is rate limited per user', async () => {
+  const { user, tokens } = await createUserAndLogin(app, 'confirm@example.com');
+  await enableTwoFactor(user);
+
+  const statuses = [];
+  for (let i = 0; i < 6; i++) {
+    const result = await app.request('POST', '/api/auth/2fa/recovery-codes', {
+      token: tokens.token,
+      body: { password: `wrong-${i}` }
+    });
+    statuses.push(result.status);
+  }
+  assert.deepEqual(statuses, [400, 400, 400, 400, 400, 429]);
+});
@@ -0,0 +1,167 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { isoCBOR } = require('@simplewebauthn/server/helpers');
+const { startApp, createUserAndLogin } = require('./helpers');
+
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:8080';
+
+// 软件认证器：持有一个 ES256 密钥，按 WebAuthn 规范生成 attestation 和 assertion
+function createAuthenticator({ signCount: initialSignCount = 0 } = {}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const credentialId = crypto.randomBytes(16);
+  const rpIdHash = crypto.createHash('sha256').update(RP_ID).digest();
+  let signCount = initialSignCount;
+
+  // COSE_Key：kty=EC2(2)、alg=ES256(-7)、crv=P-256(1)、x、y
+  function coseKey() {
+    const jwk = publicKey.export({ format: 'jwk' });
+    return isoCBOR.encode(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x, 'base64url')],
+      [-3, Buffer.from(jwk.y, 'base64url')]
+    ]));
+  }
+
+  // flags：UP(0x01) | UV(0x04)，带凭据数据时再加 AT(0x40)
+  function authenticatorData(withCredential) {
+    signCount += 1;
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    const parts = [rpIdHash, Buffer.from([withCredential ? 0x45 : 0x05]), counter];
+    if (withCredential) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, Buffer.from(coseKey()));
+    }
+    return Buffer.concat(parts);
+  }
+
+  function clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN, crossOrigin: false }));
+  }
+
+  const id = credentialId.toString('base64url');
+
+  return {
+    id,
+
+    // navigator.credentials.create()，attestation 格式为 none
+    create(options) {
+      const attestationObject = isoCBOR.encode(new Map([
+        ['fmt', 'none'],
+        ['attStmt', new Map()],
+        ['authData', authenticatorData(true)]
+      ]));
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientData('webauthn.create', options.challenge).toString('base64url'),
+          attestationObject: Buffer.from(attestationObject).toString('base64url'),
+          transports: ['internal']
+        },
+        clientExtensionResults: {}
+      };
+    },
+
+    // navigator.credentials.get()，签名覆盖 authenticatorData || SHA-256(clientDataJSON)
+    get(options, userHandle) {
+      const authData = authenticatorData(false);
+      const clientDataJSON = clientData('webauthn.get', options.challenge);
+      const clientDataHash = crypto.createHash('sha256').update(clientDataJSON).digest();
+      const signature = crypto.sign('sha256', Buffer.concat([authData, clientDataHash]), privateKey);
+      return {
+        id,
+        rawId: id,
+        type: 'public-key',
+        response: {
+          clientDataJSON: clientDataJSON.toString('base64url'),
+          authenticatorData: authData.toString('base64url'),
+          signature: signature.toString('base64url'),
+          userHandle: Buffer.from(userHandle).toString('base64url')
+        },
+        clientExtensionResults: {}
+      };
+    }
+  };
+}
+
+let app;
+
+before(async () => {
+  app = await startApp({ WEBAUTHN_RP_ID: RP_ID, WEBAUTHN_ORIGINS: ORIGIN });
+});
+
+after(async () => {
+  await app.stop();
+});
+
+test('registers a passkey and signs in with it', async () => {
+  const { user, tokens } = await createUserAndLogin(app, 'passkey@example.com');
+  const authenticator = createAuthenticator();
+
+  const regOptions = await app.request('POST', '/api/auth/webauthn/register/options', { token: tokens.token });
+  assert.equal(regOptions.status, 200);
+  assert.equal(regOptions.body.rp.id, RP_ID);
+
+  const registered = await app.request('POST', '/api/auth/webauthn/register/verify', {
+    token: tokens.token,
+    body: { response: authenticator.create(regOptions.body), name: 'Test key' }
+  });
+  assert.equal(registered.status, 200);
+  assert.equal(registered.body.ok, true);
+
+  const credentials = await app.request('GET', '/api/auth/webauthn/credentials', { token: tokens.token });
+  assert.equal(credentials.status, 200);
+  assert.equal(credentials.body.credentials.length, 1);
+
+  const loginOptions = await app.request('POST', '/api/auth/webauthn/login/options');
+  assert.equal(loginOptions.status, 200);
+  const { challengeId, options } = loginOptions.body;
+
+  const login = await app.request('POST', '/api/auth/webauthn/login/verify', {
+    body: { challengeId, response: authenticator.get(options, String(user.id)) }
+  });
+  assert.equal(login.status, 200);
+  assert.ok(login.body.token);
+
+  const me = await app.request('GET', '/api/auth/me', { token: login.body.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.email, 'passkey@example.com');
+
+  // 挑战只能使用一次
+  const replay = await app.request('POST', '/api/auth/webauthn/login/verify', {
+    body: { challengeId, response: authenticator.get(options, String(user.id)) }
+  });
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.error, 'challenge expired or not found');
+});
+
+test('rejects an assertion signed by a different key', async () => {
+  const { user, tokens } = await createUserAndLogin(app, 'other-key@example.com');
+  const authenticator = createAuthenticator();
+
+  const regOptions = await app.request('POST', '/api/auth/webauthn/register/options', { token: tokens.token });
+  const registered = await app.request('POST', '/api/auth/webauthn/register/verify', {
+    token: tokens.token,
+    body: { response: authenticator.create(regOptions.body) }
+  });
+  assert.equal(registered.status, 200);
+
+  const loginOptions = await app.request('POST', '/api/auth/webauthn/login/options');
+  const { challengeId, options } = loginOptions.body;
+  // 冒用已注册的凭据 ID，但用另一个密钥签名（计数器足够大，只有签名会校验失败）
+  const impostor = createAuthenticator({ signCount: 100 });
+  const forged = { ...impostor.get(options, String(user.id)), id: authenticator.id, rawId: authenticator.id };
+
+  const login = await app.request('POST', '/api/auth/webauthn/login/verify', {
+    body: { challengeId, response: forged }
+  });
+  assert.equal(login.status, 400);
+  assert.equal(login.body.error, 'authentication failed');
+});